@@ -13,6 +13,7 @@
 
 class SajH2InverterCardTimer extends HTMLElement {
   static VERSION = '1.0.9';
+  static _instanceCount = 0; // Numbers card instances for the log prefix
   
   static get DEFAULT_ENTITIES() {
     // Default entity IDs (can be overridden in Lovelace config)
@@ -32,7 +33,89 @@ class SajH2InverterCardTimer extends HTMLElement {
       dischargePower: 'number.saj_discharge1_power_percent_input',
       dischargeDayMask: 'number.saj_discharge1_day_mask_input',
       dischargingSwitch:'switch.saj_discharging_control',
-      dischargePowerSensor: 'sensor.saj_discharge_power_percent'
+      dischargePowerSensor: 'sensor.saj_discharge_power_percent',
+
+      // Battery state of charge, used for SOC stop conditions
+      batterySoc: 'sensor.saj_battery_energy_percent',
+
+      // Battery power (W or kW), optional: enables the power chart in the status card
+      batteryPower: 'sensor.saj_battery_power',
+
+      // Energy counters (kWh), optional: stop kWh sessions once the energy has been delivered
+      chargeEnergySensor: 'sensor.saj_battery_today_charge',
+      dischargeEnergySensor: 'sensor.saj_battery_today_discharge',
+
+      // Price sensor with an hourly forecast attribute, optional: enables the auto-plan section
+      priceForecast: 'sensor.electricity_price',
+
+      // Expected solar energy (kWh) today and tomorrow, optional: enables the charge power suggestion
+      solarForecastToday: 'sensor.solcast_pv_forecast_forecast_today',
+      solarForecastTomorrow: 'sensor.solcast_pv_forecast_forecast_tomorrow',
+
+      // Timer helpers used when serverTimer is enabled (created on first use)
+      chargeTimer: 'timer.saj_h2_card_charge',
+      dischargeTimer: 'timer.saj_h2_card_discharge'
+    };
+  }
+
+  // Unit of each power entity's raw value (can be overridden with `units` in Lovelace config):
+  // percent of the direction's max power, permille (0.1%) of it, or watts
+  static get DEFAULT_UNITS() {
+    return {
+      chargePower: 'permille',
+      batteryChargePowerLimit: 'percent',
+      dischargePower: 'percent',
+      dischargePowerSensor: 'percent'
+    };
+  }
+
+  static get POWER_UNITS() {
+    return ['percent', 'permille', 'watts'];
+  }
+
+  // Log levels from least to most verbose; a logger set to a level also prints the levels before it
+  static get LOG_LEVELS() {
+    return ['error', 'warn', 'info', 'debug'];
+  }
+
+  // Number of schedule slots the SAJ H2 exposes per direction
+  static get SLOT_COUNT() {
+    return 7;
+  }
+
+  // Write queue: how long to wait for a written value to show up in Home Assistant, and how often to retry
+  static get WRITE_TIMEOUT_MS() {
+    return 15000;
+  }
+
+  static get WRITE_RETRIES() {
+    return 2;
+  }
+
+  // Session history: hours of logbook to load, and how many local journal entries to keep
+  static get HISTORY_HOURS() {
+    return 72;
+  }
+
+  static get JOURNAL_SIZE() {
+    return 100;
+  }
+
+  // Entity ID templates for numbered schedule slots (slot 1 comes from the entity map)
+  static get SLOT_ENTITY_TEMPLATES() {
+    return {
+      charge: {
+        start: n => `text.saj_charge${n}_start_time_time`,
+        end: n => `text.saj_charge${n}_end_time_time`,
+        power: n => `number.saj_charge${n}_power_percent_input`,
+        dayMask: n => `number.saj_charge${n}_day_mask_input`
+      },
+      discharge: {
+        start: n => `text.saj_discharge${n}_start_time_time`,
+        end: n => `text.saj_discharge${n}_end_time_time`,
+        power: n => `number.saj_discharge${n}_power_percent_input`,
+        dayMask: n => `number.saj_discharge${n}_day_mask_input`
+      }
     };
   }
 
@@ -40,67 +123,349 @@ class SajH2InverterCardTimer extends HTMLElement {
     super();
 
     console.log(`[SAJ H2 Inverter Card Timer] Version: ${SajH2InverterCardTimer.VERSION}`);
+
+    // Scoped logger; the level and debug panel are set from config
+    this._instanceId = ++SajH2InverterCardTimer._instanceCount;
+    this._logLevel = 'warn';
+    this._debugPanel = false;
+    this._logEvents = []; // Recent log entries for the debug panel
+    this._log = this._createLogger();
   
     // Inverter maximum output in kW (will be set by config, default used if not specified)
     this._inverterMaxOutput = 5.0; // Default value, can be overridden in Lovelace config
+    this._maxChargeKw = 5.0;
+    this._maxDischargeKw = 5.0;
+    this._exportLimitKw = null;
+    this._sliderStep = 0.5;
     
     this.attachShadow({ mode: 'open' }); // Attach Shadow DOM
 
     
     // Initialize properties
+    this._entityPrefix = 'saj_'; // Object ID prefix of the inverter's entities
+    this._storageId = null; // Set on inverter cards of a multi-inverter card to keep their sessions apart
+    this._inverters = null; // [{ name, card }] when the config lists several inverters
+    this._activeInverter = 0; // Index of the inverter tab shown, or 'all'
     this._entities = JSON.parse(JSON.stringify(SajH2InverterCardTimer.DEFAULT_ENTITIES));
+    this._units = SajH2InverterCardTimer.DEFAULT_UNITS;
+    this._slots = {
+      charge: this._resolveSlots('charge', [1]),
+      discharge: this._resolveSlots('discharge', [1])
+    };
     this._mode = 'both';
     this._currentViewMode = 'charge'; // Track current view mode for toggle
+    this._currentView = localStorage.getItem('saj-h2-view') === 'schedule' ? 'schedule' : 'timer'; // Quick timer or schedule
+    this._scheduleDraft = {}; // Unsaved schedule edits per slot prefix
+    this._writeQueue = Promise.resolve(); // Sequences of Modbus writes run one after another
+    this._writeProgress = {}; // Per direction: { done, total, label } while writing, { error } after a failure
+    this._stateWaiters = []; // Pending checks resolved on hass updates
+    this._writeMismatches = {}; // Per entity: the write whose value the inverter did not take, with the value it reports
+    this._historyOpen = localStorage.getItem('saj-h2-history-open') === 'true';
+    this._cardRoot = null; // Container patched by _renderCard, created on first render
+    this._logbookEvents = null; // Switch on/off events from the logbook, null until loaded (or if unavailable)
+    this._historyFetch = null; // { key, time, pending } of the last logbook request
     this._hass = null;
-    this._debug = false;
-    this._lastForceUpdate = 0;
-    this._lastDebugLog = 0;
-    this._lastTimerCheck = 0;
+    this._serverTimer = false;
+    this._serverTimerSetup = {}; // Per-direction promise for helper/automation creation
+    this._timers = []; // Interval ids started in connectedCallback
+    this._debugLogSeconds = 10;
+    this._expiryCheckSeconds = 60;
+    this._presets = { charge: [], discharge: [] };
+    this._socCapMinutes = 240;
+    this._batteryCapacity = null;
+    this._solarShare = 0.5;
+    this._chartHours = 3;
+    this._powerHistory = null; // { points: [{ time, kw }], time, pending } of the last history request
   }
 
-  // Helper functions for percentage/kW conversion
-  _percentToKw(percent) {
-    return ((percent / 100) * this._inverterMaxOutput).toFixed(1);
+  // Power conversion: every read and write of a power entity goes through these, using the entity's unit.
+  // Percent and permille values are relative to the max power of the direction ('charge' or 'discharge').
+  _getMaxKw(type) {
+    return type === 'charge' ? this._maxChargeKw : this._maxDischargeKw;
   }
 
-  _kwToPercent(kw) {
-    return Math.round((kw / this._inverterMaxOutput) * 100);
+  // Convert a raw entity value to kW
+  _toKw(value, unit, type) {
+    const raw = parseFloat(value) || 0;
+    if (unit === 'watts') return raw / 1000;
+    return raw / (unit === 'permille' ? 1000 : 100) * this._getMaxKw(type);
   }
 
-  // Convert percentage to kW for slider display (0.5kW increments)
-  _percentToSliderKw(percent) {
-    return Math.round(((percent / 100) * this._inverterMaxOutput) * 2) / 2;
+  // Convert kW to the raw value written to an entity
+  _fromKw(kw, unit, type) {
+    if (unit === 'watts') return Math.round(kw * 1000);
+    return Math.round(kw / this._getMaxKw(type) * (unit === 'permille' ? 1000 : 100));
   }
 
-  // Convert slider kW value back to percentage
-  _sliderKwToPercent(kw) {
-    return Math.round((kw / this._inverterMaxOutput) * 100);
+  // Round kW to the slider step; `round` can be Math.ceil or Math.floor to round up or down
+  _snapKw(kw, round = Math.round) {
+    // toFixed drops floating point noise such as 0.30000000000000004
+    return parseFloat((round(kw / this._sliderStep) * this._sliderStep).toFixed(3));
   }
 
-  // Called by Lovelace when configuration is set
-  setConfig(config) {
+  // Convert a raw entity value to kW for slider display (in slider steps)
+  _toSliderKw(value, unit, type) {
+    return this._snapKw(this._toKw(value, unit, type));
+  }
+
+  // Current power of an entity in kW (one decimal) for read-only display
+  _getPowerKw(entityId, unit, type) {
+    return this._toKw(this._hass.states[entityId]?.state, unit, type).toFixed(1);
+  }
+
+  // Slider range: 10% to 100% of the direction's max power; discharge is also held to the export limit
+  _getSliderRange(type) {
+    const max = type === 'discharge' && this._exportLimitKw
+      ? Math.min(this._maxDischargeKw, this._exportLimitKw)
+      : this._getMaxKw(type);
+    const maxKw = Math.max(this._sliderStep, this._snapKw(max, Math.floor));
+    return { minKw: Math.min(maxKw, Math.max(this._sliderStep, this._snapKw(max * 0.1))), maxKw };
+  }
+
+  // Returns the editor element used by the Lovelace UI editor
+  static getConfigElement() {
+    return document.createElement('saj-h2-inverter-card-timer-editor');
+  }
+
+  // Default configuration used when the card is added from the card picker
+  static getStubConfig() {
+    return { mode: 'both', maxOutput: 5.0 };
+  }
+
+  // Validate a card configuration, throwing on the first invalid entry.
+  // Shared by setConfig and the visual editor so both reject the same input.
+  static validateConfig(config) {
     if (!config) {
       throw new Error('Invalid configuration');
     }
 
+    const mode = config.mode || 'both';
+    if (!['charge','discharge','both'].includes(mode)) {
+      throw new Error(`Invalid mode: ${mode}. Must be one of: charge, discharge, both`);
+    }
+
+    const maxOutput = config.maxOutput || 5.0;
+    if (typeof maxOutput !== 'number' || maxOutput <= 0) {
+      throw new Error(`Invalid maxOutput: ${maxOutput}. Must be a positive number representing kW capacity.`);
+    }
+
+    ['maxChargeKw', 'maxDischargeKw', 'exportLimitKw'].forEach(key => {
+      if (config[key] !== undefined && (typeof config[key] !== 'number' || config[key] <= 0)) {
+        throw new Error(`Invalid ${key}: ${config[key]}. Must be a positive number of kW`);
+      }
+    });
+
+    if (config.sliderStep !== undefined && (typeof config.sliderStep !== 'number' || config.sliderStep < 0.01 || config.sliderStep > 5)) {
+      throw new Error(`Invalid sliderStep: ${config.sliderStep}. Must be a number of kW between 0.01 and 5`);
+    }
+
+    if (config.prefix !== undefined && (typeof config.prefix !== 'string' || !/^[a-z0-9_]*_$/.test(config.prefix))) {
+      throw new Error(`Invalid prefix: ${config.prefix}. Must be an entity object ID prefix ending in _ such as saj_2_`);
+    }
+
+    if (config.inverters !== undefined) {
+      if (!Array.isArray(config.inverters) || config.inverters.length === 0) {
+        throw new Error('Invalid inverters: must be a non-empty list of inverter definitions');
+      }
+      const { inverters, ...base } = config;
+      inverters.forEach((inverter, i) => {
+        if (!inverter || typeof inverter !== 'object' || (inverter.prefix === undefined && inverter.entities === undefined)) {
+          throw new Error(`Invalid inverter ${i + 1}: must have a prefix or an entities mapping`);
+        }
+        if (inverter.inverters !== undefined) {
+          throw new Error(`Invalid inverter ${i + 1}: inverters cannot be nested`);
+        }
+        if (inverter.name !== undefined && typeof inverter.name !== 'string') {
+          throw new Error(`Invalid inverter ${i + 1} name: ${inverter.name}. Must be text`);
+        }
+        // Each inverter runs with the shared options plus its own, so it must be valid on its own
+        const { name, ...overrides } = inverter;
+        SajH2InverterCardTimer.validateConfig({ ...base, ...overrides });
+      });
+    }
+
+    if (config.entities !== undefined) {
+      if (!config.entities || typeof config.entities !== 'object' || Array.isArray(config.entities)) {
+        throw new Error('Invalid entities: must be a mapping of entity keys to entity IDs');
+      }
+      Object.entries(config.entities).forEach(([key, entityId]) => {
+        if (typeof entityId !== 'string' || !/^[a-z_]+\.[a-z0-9_]+$/.test(entityId)) {
+          throw new Error(`Invalid entity for ${key}: ${entityId}. Must be an entity ID such as switch.saj_charging_control`);
+        }
+      });
+    }
+
+    if (config.units !== undefined) {
+      if (!config.units || typeof config.units !== 'object' || Array.isArray(config.units)) {
+        throw new Error('Invalid units: must be a mapping of entity keys to units');
+      }
+      Object.entries(config.units).forEach(([key, unit]) => {
+        if (!SajH2InverterCardTimer.POWER_UNITS.includes(unit)) {
+          throw new Error(`Invalid unit for ${key}: ${unit}. Must be one of: ${SajH2InverterCardTimer.POWER_UNITS.join(', ')}`);
+        }
+      });
+    }
+
+    if (config.presets !== undefined) {
+      const lists = Array.isArray(config.presets) ? [config.presets] : [config.presets?.charge, config.presets?.discharge];
+      if (!Array.isArray(config.presets) && (!config.presets || typeof config.presets !== 'object')) {
+        throw new Error('Invalid presets: must be a list of minutes or a mapping with charge/discharge lists');
+      }
+      lists.filter(list => list !== undefined).forEach(list => {
+        if (!Array.isArray(list) || list.some(minutes => !Number.isInteger(minutes) || minutes < 1 || minutes > 1440)) {
+          throw new Error(`Invalid presets: ${JSON.stringify(list)}. Must be whole minutes between 1 and 1440`);
+        }
+      });
+    }
+
+    if (config.socCapMinutes !== undefined && (!Number.isInteger(config.socCapMinutes) || config.socCapMinutes < 1 || config.socCapMinutes > 1439)) {
+      throw new Error(`Invalid socCapMinutes: ${config.socCapMinutes}. Must be whole minutes between 1 and 1439`);
+    }
+
+    if (config.batteryCapacity !== undefined && (typeof config.batteryCapacity !== 'number' || config.batteryCapacity <= 0)) {
+      throw new Error(`Invalid batteryCapacity: ${config.batteryCapacity}. Must be a positive number of kWh`);
+    }
+
+    if (config.solarShare !== undefined && (typeof config.solarShare !== 'number' || config.solarShare < 0 || config.solarShare > 1)) {
+      throw new Error(`Invalid solarShare: ${config.solarShare}. Must be a number between 0 and 1`);
+    }
+
+    if (config.chartHours !== undefined && (typeof config.chartHours !== 'number' || config.chartHours < 0.5 || config.chartHours > 24)) {
+      throw new Error(`Invalid chartHours: ${config.chartHours}. Must be a number of hours between 0.5 and 24`);
+    }
+
+    ['debugLogSeconds', 'expiryCheckSeconds'].forEach(key => {
+      if (config[key] !== undefined && (!Number.isInteger(config[key]) || config[key] < 1 || config[key] > 3600)) {
+        throw new Error(`Invalid ${key}: ${config[key]}. Must be whole seconds between 1 and 3600`);
+      }
+    });
+
+    if (config.logLevel !== undefined && !SajH2InverterCardTimer.LOG_LEVELS.includes(config.logLevel)) {
+      throw new Error(`Invalid logLevel: ${config.logLevel}. Must be one of: ${SajH2InverterCardTimer.LOG_LEVELS.join(', ')}`);
+    }
+
+    if (config.debugPanel !== undefined && typeof config.debugPanel !== 'boolean') {
+      throw new Error(`Invalid debugPanel: ${config.debugPanel}. Must be true or false`);
+    }
+
+    if (config.serverTimer !== undefined && typeof config.serverTimer !== 'boolean') {
+      throw new Error(`Invalid serverTimer: ${config.serverTimer}. Must be true or false`);
+    }
+
+    if (config.chargeSlots !== undefined) {
+      SajH2InverterCardTimer._validateSlots('chargeSlots', config.chargeSlots);
+    }
+    if (config.dischargeSlots !== undefined) {
+      SajH2InverterCardTimer._validateSlots('dischargeSlots', config.dischargeSlots);
+    }
+  }
+
+  // Validate a slot list: slot numbers (1-7) or objects with explicit entity IDs
+  static _validateSlots(key, slots) {
+    const count = SajH2InverterCardTimer.SLOT_COUNT;
+    if (!Array.isArray(slots) || slots.length === 0) {
+      throw new Error(`Invalid ${key}: must be a non-empty list of slot numbers or slot definitions`);
+    }
+    const seen = new Set();
+    slots.forEach((entry, i) => {
+      const slot = typeof entry === 'number' ? { slot: entry } : entry;
+      if (!slot || typeof slot !== 'object') {
+        throw new Error(`Invalid ${key} entry: ${entry}. Must be a slot number or a slot definition`);
+      }
+      const index = slot.slot !== undefined ? slot.slot : i + 1;
+      if (!Number.isInteger(index) || index < 1 || index > count) {
+        throw new Error(`Invalid ${key} slot: ${index}. Must be a number from 1 to ${count}`);
+      }
+      if (seen.has(index)) {
+        throw new Error(`Invalid ${key}: slot ${index} is configured more than once`);
+      }
+      seen.add(index);
+      ['start', 'end', 'power', 'dayMask'].forEach(field => {
+        const entityId = slot[field];
+        if (entityId !== undefined && (typeof entityId !== 'string' || !/^[a-z_]+\.[a-z0-9_]+$/.test(entityId))) {
+          throw new Error(`Invalid ${key} slot ${index} ${field}: ${entityId}. Must be an entity ID`);
+        }
+      });
+      if (slot.powerUnit !== undefined && !SajH2InverterCardTimer.POWER_UNITS.includes(slot.powerUnit)) {
+        throw new Error(`Invalid ${key} slot ${index} powerUnit: ${slot.powerUnit}. Must be one of: ${SajH2InverterCardTimer.POWER_UNITS.join(', ')}`);
+      }
+    });
+  }
+
+  // Called by Lovelace when configuration is set
+  setConfig(config) {
+    SajH2InverterCardTimer.validateConfig(config);
+
     this._mode = config.mode || 'both';
-    if (!['charge','discharge','both'].includes(this._mode)) {
-      throw new Error(`Invalid mode: ${this._mode}. Must be one of: charge, discharge, both`);
+    // `debug: true` is kept as a shorthand for the debug log level
+    this._logLevel = config.logLevel || (config.debug === true ? 'debug' : 'warn');
+
+    // Several inverters: one inverter card per entry, shown in tabs by this card
+    if (config.inverters) {
+      this._setInverters(config);
+      return;
     }
+    this._inverters = null;
 
     // Set inverter max output from config or use default
     this._inverterMaxOutput = config.maxOutput || 5.0;
-    if (typeof this._inverterMaxOutput !== 'number' || this._inverterMaxOutput <= 0) {
-      throw new Error(`Invalid maxOutput: ${this._inverterMaxOutput}. Must be a positive number representing kW capacity.`);
+    // Per-direction ratings fall back to maxOutput; the export limit only caps the discharge slider
+    this._maxChargeKw = config.maxChargeKw || this._inverterMaxOutput;
+    this._maxDischargeKw = config.maxDischargeKw || this._inverterMaxOutput;
+    this._exportLimitKw = config.exportLimitKw || null;
+    this._sliderStep = config.sliderStep || 0.5;
+
+    // Deep merge user-provided entities with the defaults for the entity prefix
+    this._entityPrefix = config.prefix || 'saj_';
+    const defaultEntities = JSON.parse(JSON.stringify(SajH2InverterCardTimer.DEFAULT_ENTITIES));
+    Object.keys(defaultEntities).forEach(key => {
+      defaultEntities[key] = this._expandPrefix(defaultEntities[key]);
+    });
+    this._entities = this._deepMerge(defaultEntities, config.entities || {});
+    // Inverter cards of a multi-inverter card get their own timer helpers (and so their own automations)
+    if (this._storageId) {
+      ['charge', 'discharge'].forEach(type => {
+        if (!config.entities?.[`${type}Timer`]) this._entities[`${type}Timer`] = `timer.saj_h2_card_${this._storageId}_${type}`;
+      });
+    }
+    this._units = { ...SajH2InverterCardTimer.DEFAULT_UNITS, ...config.units };
+
+    this._slots = {
+      charge: this._resolveSlots('charge', config.chargeSlots || [1]),
+      discharge: this._resolveSlots('discharge', config.dischargeSlots || [1])
+    };
+
+    // Intervals of the periodic sensor log and the timer expiry check; restart running timers to apply them
+    this._debugLogSeconds = config.debugLogSeconds || 10;
+    this._expiryCheckSeconds = config.expiryCheckSeconds || 60;
+    if (this.isConnected) {
+      this._stopTimers();
+      this._startTimers();
     }
 
-    // Deep merge user-provided entities with defaults
-    this._entities = this._deepMerge(
-        JSON.parse(JSON.stringify(SajH2InverterCardTimer.DEFAULT_ENTITIES)),
-        config.entities || {}
-    );
+    this._debugPanel = config.debugPanel === true;
+    this._serverTimer = config.serverTimer === true;
+    this._serverTimerSetup = {};
+
+    // Safety cap for sessions that stop on SOC rather than on a duration
+    this._socCapMinutes = config.socCapMinutes || 240;
+
+    // Solar-aware charge suggestion: usable battery size and the share of the solar forecast expected to reach it
+    this._batteryCapacity = config.batteryCapacity || null;
+    this._solarShare = config.solarShare !== undefined ? config.solarShare : 0.5;
 
-    this._debug = config.debug === true;
+    // Hours of battery power shown in the status card chart
+    this._chartHours = config.chartHours || 3;
+    this._powerHistory = null;
+
+    // Listeners hold the previous config's slots, so a new config starts from a fresh DOM
+    this._cardRoot = null;
+
+    // Quick-duration chips: one list for both directions or separate charge/discharge lists
+    const presets = config.presets || [];
+    this._presets = Array.isArray(presets)
+      ? { charge: presets, discharge: presets }
+      : { charge: presets.charge || [], discharge: presets.discharge || [] };
 
     // Trigger initial render if hass is already available
     if (this.shadowRoot && this._hass) {
@@ -108,95 +473,188 @@ class SajH2InverterCardTimer extends HTMLElement {
     }
   }
 
+  // Create an inverter card for each configured inverter. Top-level options apply to every inverter,
+  // an inverter's own options (prefix, entities, ratings, slots) take precedence.
+  _setInverters(config) {
+    const { inverters, ...base } = config;
+    this._stopTimers(); // The inverter cards run their own timers
+    this._sliderStep = config.sliderStep || 0.5;
+    this._cardRoot = null;
+    this._inverters = inverters.map((inverter, i) => {
+      const { name, ...overrides } = inverter;
+      const card = document.createElement('saj-h2-inverter-card-timer');
+      // Sessions and the journal are stored per inverter
+      card._storageId = (inverter.prefix || `inverter${i + 1}_`).replace(/_+$/, '');
+      card.setConfig({ ...base, ...overrides });
+      return { name: name || `Inverter ${i + 1}`, card };
+    });
+
+    const stored = localStorage.getItem('saj-h2-inverter');
+    this._activeInverter = stored === 'all' ? 'all' : (this._inverters[parseInt(stored, 10)] ? parseInt(stored, 10) : 0);
+
+    if (this.shadowRoot && this._hass) {
+      this._renderCard();
+    }
+  }
+
+  // Apply the configured entity prefix to a default entity ID (saj_ is the prefix of a single inverter)
+  _expandPrefix(entityId) {
+    return entityId.replace(/\.saj_/, `.${this._entityPrefix}`);
+  }
+
+  // localStorage key for per-inverter data: sessions, the journal, slot inputs and auto-plan settings
+  _storageKey(name) {
+    return this._storageId ? `saj-h2-${this._storageId}-${name}` : `saj-h2-${name}`;
+  }
+
   // Called by Home Assistant when the state changes
   set hass(hass) {
     if (!hass) return;
 
+    // With several inverters each inverter card handles its own state; this card only shows the tabs
+    if (this._inverters) {
+      const shouldUpdate = this._shouldUpdate(hass);
+      this._hass = hass;
+      this._inverters.forEach(inverter => {
+        inverter.card.hass = hass;
+      });
+      if (this.shadowRoot && (shouldUpdate || !this._cardRoot)) {
+        this._renderCard();
+      }
+      return;
+    }
+
     const shouldUpdate = this._shouldUpdate(hass);
-    // Check interaction status *before* potential re-render
-    const userInteracting = this._isUserInteracting();
+    const firstUpdate = !this._hass;
 
     // Update internal state AFTER calculations based on the previous state
     this._hass = hass;
+    this._resolveStateWaiters();
+    this._clearResolvedMismatches();
 
-    // Debug: Log sensor entity values every 10 seconds
-    const now = Date.now();
-    if (!this._lastDebugLog || (now - this._lastDebugLog) > 10000) {
-        this._lastDebugLog = now;
-        const chargePowerEntity = hass.states[this._entities.chargePowerSensor];
-        const dischargePowerEntity = hass.states[this._entities.dischargePowerSensor];
-        console.log(`[saj-card] Debug - Charge power: ${chargePowerEntity?.state}, Discharge power: ${dischargePowerEntity?.state}`);
+    // Stop sessions whose SOC or energy condition has been reached (checked on every update, sensor changes push one)
+    this._checkSessionLimits();
+
+    // Refresh the power chart data while a session runs (at most once a minute)
+    const sessionRunning = [this._entities.chargingSwitch, this._entities.dischargingSwitch]
+      .some(entityId => hass.states[entityId]?.state === 'on');
+    if (sessionRunning && hass.states[this._entities.batteryPower]) {
+        this._loadPowerHistory();
     }
 
-    // Check for timer expiration every 60 seconds
-    if (!this._lastTimerCheck || (now - this._lastTimerCheck) > 60000) {
-        this._lastTimerCheck = now;
-        this._checkTimerExpiration();
+    // Keep the open session list current (reloads when a switch changes or the list is five minutes old)
+    if (this._historyOpen) {
+        this._loadSessionHistory();
     }
 
-    // Force update every 30 seconds for sensor entities (failsafe)
-    if (!this._lastForceUpdate || (now - this._lastForceUpdate) > 30000) {
-        this._lastForceUpdate = now;
-        console.log(`[saj-card] Force update after 30s`);
-        if (this.shadowRoot && !userInteracting) {
-            this._renderCard();
-        }
-        return;
+    // Catch timers that ran out while no dashboard was open; the expiry timer handles them from here on
+    if (firstUpdate) {
+        this._checkTimerExpiration();
     }
 
-    // Render logic: Render if shadowRoot exists AND (update needed OR initial render)
-    // AND user is NOT interacting with protected elements (time, range)
-    if (this.shadowRoot && (shouldUpdate || !this.shadowRoot.innerHTML) && !userInteracting) {
-        console.log(`[saj-card] Rendering card due to state change`);
+    // Render logic: Render if shadowRoot exists AND (update needed OR initial render).
+    // Rendering only patches changed nodes, so inputs in use keep their focus and value.
+    if (this.shadowRoot && (shouldUpdate || !this._cardRoot)) {
+        this._log.debug(`Rendering card due to state change`);
         this._renderCard();
-    } else if (shouldUpdate && userInteracting) {
-        console.log(`[saj-card] Skipping render due to user interaction`);
     }
   }
 
-  // Check if the user is actively interacting with specific input types
-  _isUserInteracting() {
-    if (!this.shadowRoot) return false;
-    const activeElement = this.shadowRoot.activeElement;
-    if (!activeElement) return false;
-
-    // Protect time and range inputs from re-renders while focused
-    if (activeElement.tagName === 'INPUT') {
-      const type = activeElement.type.toLowerCase();
-      if (type === 'time' || type === 'range') {
-        // console.log("[saj-card] Interaction detected:", activeElement.tagName, activeElement.type); // Debugging
-        return true; // Currently interacting with time or range input
+  // Leveled logger with the card instance in the prefix. Messages above the configured level are not
+  // printed; with the debug panel on, every message is kept (up to 50) for display in the card.
+  _createLogger() {
+    const levels = SajH2InverterCardTimer.LOG_LEVELS;
+    const logAt = level => (message, ...details) => {
+      if (this._debugPanel) {
+        const detail = details.map(d => d instanceof Error ? d.message : typeof d === 'object' ? JSON.stringify(d) : String(d)).join(' ');
+        this._logEvents.push({ time: Date.now(), level, message: detail ? `${message} ${detail}` : message });
+        if (this._logEvents.length > 50) this._logEvents.shift();
       }
-    }
-    // Allow rendering for other interactions (buttons, checkboxes, focus elsewhere)
-    return false;
+      if (levels.indexOf(level) > levels.indexOf(this._logLevel)) return;
+      console[level](`[saj-card#${this._instanceId}] ${message}`, ...details);
+    };
+    return { error: logAt('error'), warn: logAt('warn'), info: logAt('info'), debug: logAt('debug') };
   }
 
-  // Determine if a re-render is needed based on relevant entity state changes
-  _shouldUpdate(newHass) {
-    if (!this._hass) return true; // Always update if old state doesn't exist
+  // Render the debug panel: recent log entries (newest first) and the watched entities with their states
+  _renderDebugPanel() {
+    if (!this._debugPanel) return '';
+    const escape = text => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;');
+    const events = this._logEvents.slice(-20).reverse().map(event => `
+            <div class="debug-row debug-${event.level}">
+              <span class="debug-time">${new Date(event.time).toLocaleTimeString()}</span>
+              <span class="debug-level">${event.level}</span>
+              <span class="debug-message">${escape(event.message)}</span>
+            </div>`).join('');
+    const states = this._getWatchedEntityIds().map(id => {
+      const entity = this._hass.states[id];
+      const pending = entity?.attributes?.pending_write ? ' (pending write)' : '';
+      return `
+            <div class="debug-row">
+              <span class="debug-message">${id}</span>
+              <span class="debug-state">${entity ? escape(entity.state) + pending : 'missing'}</span>
+            </div>`;
+    }).join('');
+
+    return `
+      <ha-card>
+        <div class="card-content">
+          <h3 class="section-heading">Debug (#${this._instanceId}, level ${this._logLevel})</h3>
+          <div class="debug-panel">
+            <div class="debug-heading">Recent events</div>
+            ${events || '<div class="debug-row">No events yet</div>'}
+            <div class="debug-heading">Watched entities</div>
+            ${states}
+          </div>
+        </div>
+      </ha-card>`;
+  }
 
-    // --- Gather all relevant entity IDs based on current config ---
+  // Entity IDs whose changes re-render the card, based on the current config
+  _getWatchedEntityIds() {
+    // The inverter tabs only show whether each inverter is charging or discharging
+    if (this._inverters) {
+      return this._inverters.flatMap(({ card }) => [card._entities.chargingSwitch, card._entities.dischargingSwitch]);
+    }
     const relevantEntityIds = [];
     if (this._mode !== 'discharge') {
         relevantEntityIds.push(
-            this._entities.chargeStart, this._entities.chargeEnd,
-            this._entities.chargeDayMask, this._entities.chargePower,
             this._entities.chargingSwitch, // Crucial switch
             this._entities.chargePowerSensor, // Power sensor for readonly display
-            this._entities.batteryChargePowerLimit // Battery charge power limit for current power
+            this._entities.batteryChargePowerLimit, // Battery charge power limit for current power
+            this._entities.batterySoc, // SOC for the charge target
+            this._entities.chargeEnergySensor, // Energy delivered in kWh sessions
+            this._entities.solarForecastToday, // Solar forecasts for the charge suggestion
+            this._entities.solarForecastTomorrow
         );
+        if (this._serverTimer) relevantEntityIds.push(this._entities.chargeTimer);
+        this._slots.charge.forEach(slot => {
+            relevantEntityIds.push(slot.start, slot.end, slot.dayMask, slot.power);
+        });
     }
     if (this._mode !== 'charge') {
         relevantEntityIds.push(
-            this._entities.dischargeStart, this._entities.dischargeEnd,
-            this._entities.dischargeDayMask, this._entities.dischargePower,
             this._entities.dischargingSwitch, // Crucial switch
-            this._entities.dischargePowerSensor // Power sensor for readonly display
+            this._entities.dischargePowerSensor, // Power sensor for readonly display
+            this._entities.batterySoc, // SOC for the discharge floor
+            this._entities.dischargeEnergySensor // Energy delivered in kWh sessions
         );
+        if (this._serverTimer) relevantEntityIds.push(this._entities.dischargeTimer);
+        this._slots.discharge.forEach(slot => {
+            relevantEntityIds.push(slot.start, slot.end, slot.dayMask, slot.power);
+        });
     }
+    relevantEntityIds.push(this._entities.priceForecast); // Forecast for the auto-plan preview
+    relevantEntityIds.push(this._entities.batteryPower); // Live value and refresh of the power chart
     // Remove duplicates and filter out any null/undefined values
-    const uniqueIds = [...new Set(relevantEntityIds)].filter(Boolean);
+    return [...new Set(relevantEntityIds)].filter(Boolean);
+  }
+
+  // Determine if a re-render is needed based on relevant entity state changes
+  _shouldUpdate(newHass) {
+    if (!this._hass) return true; // Always update if old state doesn't exist
+
+    const uniqueIds = this._getWatchedEntityIds();
 
     // --- Check for changes in any relevant entity ---
     for (const id of uniqueIds) {
@@ -207,25 +665,25 @@ class SajH2InverterCardTimer extends HTMLElement {
         if (oldState !== newState) {
             // If entity just appeared/disappeared update is needed.
             if(!oldState || !newState) {
-                console.log(`[saj-card] _shouldUpdate: entity ${id} appeared/disappeared`);
+                this._log.debug(`_shouldUpdate: entity ${id} appeared/disappeared`);
                 return true;
             }
             
             // Check if the state value itself changed
             if (oldState.state !== newState.state) {
-                console.log(`[saj-card] _shouldUpdate: state changed for ${id}: ${oldState.state} -> ${newState.state}`);
+                this._log.debug(`_shouldUpdate: state changed for ${id}: ${oldState.state} -> ${newState.state}`);
                 return true;
             }
             
             // Specifically check if pending_write status changed
             if (oldState?.attributes?.pending_write !== newState?.attributes?.pending_write) {
-                console.log(`[saj-card] _shouldUpdate: pending_write changed for ${id}: ${oldState?.attributes?.pending_write} -> ${newState?.attributes?.pending_write}`);
+                this._log.debug(`_shouldUpdate: pending_write changed for ${id}: ${oldState?.attributes?.pending_write} -> ${newState?.attributes?.pending_write}`);
                 return true;
             }
             
             // Check if last_changed or last_updated changed (indicates sensor update)
             if (oldState.last_changed !== newState.last_changed || oldState.last_updated !== newState.last_updated) {
-                console.log(`[saj-card] _shouldUpdate: timestamp changed for ${id}`);
+                this._log.debug(`_shouldUpdate: timestamp changed for ${id}`);
                 return true;
             }
         }
@@ -238,11 +696,9 @@ class SajH2InverterCardTimer extends HTMLElement {
   // Main render function, updates the Shadow DOM
   _renderCard() {
     if (!this._hass || !this.shadowRoot) return; // Guard clauses
-
-    // Final check before manipulating DOM
-    if (this._isUserInteracting()) {
-         // console.log("[saj-card] Final interaction check prevented render."); // Debug
-         return;
+    if (this._inverters) {
+      this._renderInverterCard();
+      return;
     }
 
     // --- Prepare Content ---
@@ -253,6 +709,9 @@ class SajH2InverterCardTimer extends HTMLElement {
     if (this._mode === 'both') {
       cardContent += this._renderToggleButtons();
     }
+    cardContent += this._renderViewTabs();
+    cardContent += this._renderWriteMismatches();
+    cardContent += this._renderConflictWarnings();
 
     // Render based on current view mode or specific mode
     if (this._mode === 'both') {
@@ -276,44 +735,36 @@ class SajH2InverterCardTimer extends HTMLElement {
       cardContent += chargeResult.html;
     }
 
+    // 24-hour timeline of the slot windows, then the auto-plan when a price forecast is available
+    if (!hasError) {
+      cardContent += this._renderTimeline();
+      cardContent += this._renderAutoPlan();
+      cardContent += this._renderSessionHistory();
+    }
+    cardContent += this._renderDebugPanel();
+
     // Add general error if specific sections failed silently
      if (hasError && !cardContent.includes('card-error') && !cardContent.includes('ha-alert')) {
          cardContent = `<ha-alert alert-type="error">Required entities missing. Please check card configuration and ensure entities exist in Home Assistant.</ha-alert>` + cardContent;
      }
 
     // --- Render to Shadow DOM ---
-    // Store current focus and selection range (if any) to restore it later
-    const activeElement = this.shadowRoot.activeElement;
-    const activeElementId = activeElement?.id;
-    const selectionStart = activeElement?.selectionStart;
-    const selectionEnd = activeElement?.selectionEnd;
-
-    this.shadowRoot.innerHTML = `
-      <style>
-        ${this._getStyles()}
-      </style>
-      <div class="card-container">
-        ${cardContent}
-      </div>
-    `;
-
-    // Restore focus and selection if an element had focus before re-render
-    if (activeElementId) {
-        const elementToRestoreFocus = this.shadowRoot.getElementById(activeElementId);
-        if (elementToRestoreFocus) {
-            elementToRestoreFocus.focus();
-            // Restore selection range for text/time inputs if applicable
-            if (selectionStart !== undefined && selectionEnd !== undefined && typeof elementToRestoreFocus.setSelectionRange === 'function') {
-                try {
-                    elementToRestoreFocus.setSelectionRange(selectionStart, selectionEnd);
-                } catch (e) {
-                    // Ignore errors (e.g., element type doesn't support selection range)
-                }
-            }
-        }
+    // Styles and the container are created once; after that only changed nodes are patched,
+    // so elements keep their listeners, focus, open pickers and in-progress input
+    if (!this._cardRoot) {
+      this.shadowRoot.innerHTML = `
+        <style>
+          ${this._getStyles()}
+        </style>
+        <div class="card-container"></div>
+      `;
+      this._cardRoot = this.shadowRoot.querySelector('.card-container');
     }
+    const template = document.createElement('template');
+    template.innerHTML = cardContent;
+    this._patchChildren(this._cardRoot, template.content);
 
-    // Add event listeners after the DOM is updated
+    // Add event listeners to new elements (existing ones keep theirs)
     // Use requestAnimationFrame to ensure DOM is fully painted before adding listeners/setting styles
     requestAnimationFrame(() => {
         this._addEventListeners();
@@ -321,161 +772,341 @@ class SajH2InverterCardTimer extends HTMLElement {
     });
   }
 
-  // Render the charging section HTML
-  _renderChargingSection() {
-    const s = this._entities;
-    const es = this._hass.states;
-    const start = es[s.chargeStart], end = es[s.chargeEnd], mask = es[s.chargeDayMask], power = es[s.chargePower], sw = es[s.chargingSwitch];
-    const powerSensor = es[s.chargePowerSensor];
-    const batteryChargePowerLimit = es[s.batteryChargePowerLimit];
-
-    if (!start || !end || !mask || !power || !sw) {
-      const missing = [
-          !start && s.chargeStart, !end && s.chargeEnd, !mask && s.chargeDayMask,
-          !power && s.chargePower, !sw && s.chargingSwitch
-      ].filter(Boolean).join(', ');
-      return { html: `<div class="card-error"><h2>Charging Entities Missing</h2><p>Check: ${missing || 'configuration'}</p></div>`, error: true };
+  // Render the multi-inverter card: inverter tabs, the "All inverters" controls, and the inverter cards.
+  // Inverter cards stay in the DOM while hidden so their timers keep running.
+  _renderInverterCard() {
+    const content = this._renderInverterTabs() + (this._activeInverter === 'all' ? this._renderAllInverters() : '');
+    if (!this._cardRoot) {
+      this.shadowRoot.innerHTML = `
+        <style>
+          ${this._getStyles()}
+        </style>
+        <div class="card-container"></div>
+        <div class="inverter-cards"></div>
+      `;
+      this._cardRoot = this.shadowRoot.querySelector('.card-container');
+      const host = this.shadowRoot.querySelector('.inverter-cards');
+      this._inverters.forEach(({ card }) => host.appendChild(card));
+      host.addEventListener('saj-h2-write-progress', () => {
+        if (this._activeInverter === 'all') this._renderCard();
+      });
     }
+    this._inverters.forEach(({ card }, i) => {
+      card.style.display = this._activeInverter === i ? '' : 'none';
+    });
+    const template = document.createElement('template');
+    template.innerHTML = content;
+    this._patchChildren(this._cardRoot, template.content);
 
-    const chargeStart = start.state;
-    const chargeEnd = end.state;
-    const chargeDayMask = parseInt(mask.state) || 0;
-    // Convert 0.1% increments to percentage for display (divide by 10)
-    const chargePower = Math.round((parseInt(power.state) || 0) / 10);
-    const chargingEnabled = sw.state === 'on';
-    // Read pending_write status directly from the hass object
-    const pendingWrite = sw.attributes?.pending_write === true;
-    // Get actual power from battery charge power limit sensor (fallback to charge power if not available)
-    const actualChargePower = batteryChargePowerLimit ? (parseInt(batteryChargePowerLimit.state) || 0) : chargePower;
-    
-    // Convert percentage to kW for slider display
-    const chargePowerKw = this._percentToSliderKw(chargePower);
-    const actualChargePowerKw = this._percentToKw(actualChargePower);
-    const minKw = this._percentToSliderKw(10);
-    const maxKw = this._percentToSliderKw(100);
+    requestAnimationFrame(() => {
+      this._addInverterListeners();
+      this._updateSliderStyles();
+    });
+  }
 
-    const controlsHtml = `
-      <ha-card>
-        <div class="card-content">
-          <h3 class="section-heading">Charge Controls</h3>
-          <div class="controls-container">
-            <div class="power-control">
-              <div class="slider-container">
-                <input type="range" id="charge-power-slider" class="power-slider" min="${minKw}" max="${maxKw}" step="0.5" value="${chargePowerKw}" ${pendingWrite ? 'disabled' : ''} title="Controls PV charge limits when charging disabled, PV+Grid when enabled" />
-                <span id="charge-power-value" class="power-value">${chargePowerKw}&nbsp;kW</span>
-              </div>
-            </div>
-            
-            <div class="timer-control">
-              <label class="control-label">Time (mins):</label>
-              <input type="number" id="charge-timer" class="timer-input" min="1" max="1440" step="1" value="${this._getTimerValue('charge', 30)}" />
-              <button id="charging-enable" class="control-button enable-btn" ${pendingWrite ? 'disabled' : ''}>${chargingEnabled ? 'Extend' : 'Enable'}</button>
-              <button id="charging-disable" class="control-button disable-btn" ${pendingWrite || !chargingEnabled ? 'disabled' : ''}>Disable</button>
-            </div>
-          </div>
-        </div>
-      </ha-card>`;
-      
-    const statusHtml = `
-      <ha-card>
-        <div class="card-content">
-          <div class="readonly-container">
-            <div class="status-line">
-              ${pendingWrite ? 
-                '<span class="status-text status-pending">Wait for Modbus Transfer</span>' : 
-                `<span class="status-text ${chargingEnabled ? 'status-active' : 'status-inactive'}">${chargingEnabled ? 'Active' : 'Inactive'}</span>`
-              }
-            </div>
-            <div class="data-line">
-              <div class="readonly-field">
-                <span class="readonly-value">${actualChargePowerKw} kW</span>
-                <label class="readonly-label">Current Power</label>
-              </div>
-              ${this._renderTimeSelects('charge', chargeStart, chargeEnd, chargePower, pendingWrite)}
-            </div>
-          </div>
-        </div>
-      </ha-card>`;
-      
-    const html = controlsHtml + statusHtml;
-      return { html: html, error: false };
+  // Render a tab per inverter (marked while it charges or discharges) and the "All inverters" tab
+  _renderInverterTabs() {
+    const tabs = this._inverters.map(({ name, card }, i) => {
+      const running = [card._entities.chargingSwitch, card._entities.dischargingSwitch]
+        .some(entityId => this._hass.states[entityId]?.state === 'on');
+      return `
+        <button class="view-tab ${this._activeInverter === i ? 'active' : ''}" data-inverter="${i}">${name}${running ? ' <span class="inverter-running" title="Charging or discharging">&#9679;</span>' : ''}</button>`;
+    }).join('');
+    return `
+      <div id="inverter-tabs" class="view-tabs">
+        ${tabs}
+        <button class="view-tab ${this._activeInverter === 'all' ? 'active' : ''}" data-inverter="all">All inverters</button>
+      </div>`;
   }
 
-  // Render the discharging section HTML
-  _renderDischargingSection() {
-    const es = this._hass.states;
-    const start = es[this._entities.dischargeStart];
-    const end = es[this._entities.dischargeEnd]; 
-    const mask = es[this._entities.dischargeDayMask];
-    const power = es[this._entities.dischargePower];
-    const sw = es[this._entities.dischargingSwitch];
-    const powerSensor = es[this._entities.dischargePowerSensor];
+  // Render the "All inverters" controls for each direction the card is configured for
+  _renderAllInverters() {
+    return ['charge', 'discharge']
+      .filter(type => this._mode === 'both' || this._mode === type)
+      .map(type => this._renderAllInvertersControls(type))
+      .join('');
+  }
 
-    if (!start || !end || !mask || !power || !sw) {
-      const missing = [
-          !start && this._entities.dischargeStart, 
-          !end && this._entities.dischargeEnd, 
-          !mask && this._entities.dischargeDayMask,
-          !power && this._entities.dischargePower, 
-          !sw && this._entities.dischargingSwitch
-      ].filter(Boolean).join(', ');
-      return { html: `<div class="card-error"><h2>Discharging Entities Missing</h2><p>Check: ${missing || 'configuration'}</p></div>`, error: true };
-    }
-
-    const dischargeStart = start.state;
-    const dischargeEnd = end.state;
-    const dischargeDayMask = parseInt(mask.state) || 0;
-    const dischargePower = parseInt(power.state) || 0;
-    const dischargingEnabled = sw.state === 'on';
-    const pendingWrite = sw.attributes?.pending_write === true;
-    // Get actual power from sensor (fallback to input if sensor not available)
-    const actualDischargePower = powerSensor ? (parseInt(powerSensor.state) || 0) : dischargePower;
-    
-    // Convert percentage to kW for slider display
-    const dischargePowerKw = this._percentToSliderKw(dischargePower);
-    const actualDischargePowerKw = this._percentToKw(actualDischargePower);
-    const minKw = this._percentToSliderKw(10);
-    const maxKw = this._percentToSliderKw(100);
+  // Render one control card that starts or stops a direction on every inverter at once.
+  // The total power is split between the inverters by their rated power (see _getPowerSplit).
+  _renderAllInvertersControls(type) {
+    const switchKey = type === 'charge' ? 'chargingSwitch' : 'dischargingSwitch';
+    const heading = type === 'charge' ? 'Charge All Inverters' : 'Discharge All Inverters';
+    const running = this._inverters.filter(({ card }) => this._hass.states[card._entities[switchKey]]?.state === 'on');
+    const busy = this._inverters.some(({ card }) =>
+      this._hass.states[card._entities[switchKey]]?.attributes?.pending_write === true || card._isWriting(type));
+    const maxKw = this._getAllInvertersMaxKw(type);
+    const totalKw = this._getAllInvertersKw(type);
 
-    const controlsHtml = `
+    return `
       <ha-card>
         <div class="card-content">
-          <h3 class="section-heading">Discharge Control v${SajH2InverterCardTimer.VERSION}</h3>
+          <h3 class="section-heading">${heading}</h3>
           <div class="controls-container">
+            <div class="status-line">
+              ${busy
+                ? '<span class="status-text status-pending">Wait for Modbus Transfer</span>'
+                : `<span class="status-text ${running.length ? 'status-active' : 'status-inactive'}">${running.length ? `Active (${running.map(({ name }) => name).join(', ')})` : 'Inactive'}</span>`}
+            </div>
             <div class="power-control">
               <div class="slider-container">
-                <input type="range" id="discharge-power-slider" class="power-slider" min="${minKw}" max="${maxKw}" step="0.5" value="${dischargePowerKw}" ${pendingWrite ? 'disabled' : ''} />
-                <span id="discharge-power-value" class="power-value">${dischargePowerKw}&nbsp;kW</span>
+                <input type="range" id="all-${type}-power-slider" class="power-slider" min="${this._sliderStep}" max="${maxKw}" step="${this._sliderStep}" value="${totalKw}" ${busy ? 'disabled' : ''} title="Total power, split between the inverters by their rated power" />
+                <span id="all-${type}-power-value" class="power-value">${totalKw}&nbsp;kW</span>
               </div>
+              <div id="all-${type}-split" class="energy-preview">${this._getPowerSplitText(type, totalKw)}</div>
             </div>
-            
             <div class="timer-control">
               <label class="control-label">Time (mins):</label>
-              <input type="number" id="discharge-timer" class="timer-input" min="1" max="1440" step="1" value="${this._getTimerValue('discharge', 30)}" />
-              <button id="discharging-enable" class="control-button enable-btn" ${pendingWrite ? 'disabled' : ''}>${dischargingEnabled ? 'Extend' : 'Enable'}</button>
-              <button id="discharging-disable" class="control-button disable-btn" ${pendingWrite || !dischargingEnabled ? 'disabled' : ''}>Disable</button>
+              <input type="number" id="all-${type}-timer" class="timer-input" min="1" max="1440" step="1" value="${this._getTimerValue(`all-${type}`, 30)}" />
+              <button id="all-${type}-enable" class="control-button enable-btn" ${busy ? 'disabled' : ''}>${running.length ? 'Extend' : 'Enable'} all</button>
+              <button id="all-${type}-disable" class="control-button disable-btn" ${busy || !running.length ? 'disabled' : ''}>Disable all</button>
             </div>
           </div>
         </div>
       </ha-card>`;
-      
-    const statusHtml = `
-      <ha-card>
-        <div class="card-content">
-          <div class="readonly-container">
-            <div class="status-line">
-              ${pendingWrite ? 
-                '<span class="status-text status-pending">Wait for Modbus Transfer</span>' : 
-                `<span class="status-text ${dischargingEnabled ? 'status-active' : 'status-inactive'}">${dischargingEnabled ? 'Active' : 'Inactive'}</span>`
-              }
-            </div>
-            <div class="data-line">
-              <div class="readonly-field">
-                <span class="readonly-value">${actualDischargePowerKw} kW</span>
-                <label class="readonly-label">Current Power</label>
-              </div>
-              ${this._renderTimeSelects('discharge', dischargeStart, dischargeEnd, dischargePower, pendingWrite)}
-            </div>
+  }
+
+  // Highest total power of a direction: the sum of each inverter's slider maximum
+  _getAllInvertersMaxKw(type) {
+    const total = this._inverters.reduce((sum, { card }) => sum + card._getSliderRange(type).maxKw, 0);
+    return this._snapKw(total, Math.floor);
+  }
+
+  // Total power chosen on the "All inverters" slider, half of the maximum until set
+  _getAllInvertersKw(type) {
+    const maxKw = this._getAllInvertersMaxKw(type);
+    const stored = parseFloat(localStorage.getItem(this._storageKey(`all-${type}-power`)));
+    return Math.min(maxKw, stored > 0 ? stored : this._snapKw(maxKw / 2));
+  }
+
+  // Split a total power between the inverters in proportion to their rated power for the direction,
+  // held to each inverter's own slider range
+  _getPowerSplit(type, totalKw) {
+    const totalRating = this._inverters.reduce((sum, { card }) => sum + card._getMaxKw(type), 0);
+    return this._inverters.map(inverter => {
+      const { minKw, maxKw } = inverter.card._getSliderRange(type);
+      const share = totalKw * inverter.card._getMaxKw(type) / totalRating;
+      return { inverter, kw: Math.min(maxKw, Math.max(minKw, inverter.card._snapKw(share))) };
+    });
+  }
+
+  _getPowerSplitText(type, totalKw) {
+    return this._getPowerSplit(type, totalKw).map(({ inverter, kw }) => `${inverter.name}: ${kw} kW`).join(' &middot; ');
+  }
+
+  // Start (or extend) a direction on every inverter with its share of the total power,
+  // each on the slot last started from its own tab. What needs confirming is collected from every
+  // inverter first and asked once, so either all of them are written or none.
+  _enableAllInverters(type, duration, totalKw) {
+    const plans = this._getPowerSplit(type, totalKw).map(({ inverter, kw }) => {
+      const slot = inverter.card._getActiveSlot(type);
+      return { inverter, kw, slot, write: inverter.card._getEnableWrite(type, slot, duration) };
+    });
+    const messages = plans.flatMap(({ inverter, write }) =>
+      inverter.card._getWriteWarnings(write.overrides, write.notes).map(message => `${inverter.name}: ${message}`));
+    if (messages.length && !window.confirm(`${messages.join('\n')}\n\nContinue anyway?`)) return;
+
+    this._log.info(`Enabling ${type} on all inverters: ${totalKw} kW for ${duration} min`);
+    plans.forEach(({ inverter, kw, slot }) => {
+      if (type === 'charge') {
+        inverter.card._enableChargeSlot(slot, duration, kw, true);
+      } else {
+        inverter.card._enableDischargeSlot(slot, duration, kw, true);
+      }
+    });
+  }
+
+  // Add listeners for the inverter tabs and the "All inverters" controls
+  _addInverterListeners() {
+    const q = sel => this.shadowRoot.querySelector(sel);
+
+    // Inverter Tabs (event delegation on the tab row)
+    const tabs = q('#inverter-tabs');
+    if (tabs && !tabs.hasAttribute('data-listener-added')) {
+      tabs.setAttribute('data-listener-added', 'true');
+      tabs.addEventListener('click', e => {
+        const tab = e.target.closest('[data-inverter]');
+        if (!tab) return;
+        const value = tab.dataset.inverter;
+        this._activeInverter = value === 'all' ? 'all' : parseInt(value, 10);
+        localStorage.setItem('saj-h2-inverter', value);
+        this._renderCard();
+      });
+    }
+
+    ['charge', 'discharge'].forEach(type => {
+      const slider = q(`#all-${type}-power-slider`);
+      if (slider && !slider.hasAttribute('data-listener-added')) {
+        slider.setAttribute('data-listener-added', 'true');
+        slider.addEventListener('input', e => {
+          const kwValue = parseFloat(e.target.value);
+          q(`#all-${type}-power-value`).innerHTML = kwValue + '&nbsp;kW';
+          q(`#all-${type}-split`).innerHTML = this._getPowerSplitText(type, kwValue);
+          this._updateSingleSliderStyle(slider);
+        });
+        slider.addEventListener('change', e => {
+          localStorage.setItem(this._storageKey(`all-${type}-power`), e.target.value);
+        });
+      }
+
+      const timer = q(`#all-${type}-timer`);
+      if (timer && !timer.hasAttribute('data-listener-added')) {
+        timer.setAttribute('data-listener-added', 'true');
+        timer.addEventListener('change', e => {
+          localStorage.setItem(this._storageKey(`all-${type}-timer`), e.target.value);
+        });
+      }
+
+      const enableBtn = q(`#all-${type}-enable`);
+      if (enableBtn && !enableBtn.hasAttribute('data-listener-added')) {
+        enableBtn.setAttribute('data-listener-added', 'true');
+        enableBtn.addEventListener('click', () => {
+          const duration = parseInt(q(`#all-${type}-timer`)?.value, 10);
+          if (!(duration >= 1 && duration <= 1440)) return;
+          this._enableAllInverters(type, duration, parseFloat(q(`#all-${type}-power-slider`).value));
+        });
+      }
+
+      const disableBtn = q(`#all-${type}-disable`);
+      if (disableBtn && !disableBtn.hasAttribute('data-listener-added')) {
+        disableBtn.setAttribute('data-listener-added', 'true');
+        disableBtn.addEventListener('click', () => {
+          const switchKey = type === 'charge' ? 'chargingSwitch' : 'dischargingSwitch';
+          this._inverters
+            .filter(({ card }) => this._hass.states[card._entities[switchKey]]?.state === 'on')
+            .forEach(({ card }) => card._disableDirection(type));
+        });
+      }
+    });
+  }
+
+  // Patch the children of a live node to match freshly rendered markup. Children are matched by
+  // position, or by id when the id differs; unmatched nodes are replaced, leftovers removed.
+  _patchChildren(live, next) {
+    const nextNodes = [...next.childNodes];
+    nextNodes.forEach((nextNode, i) => {
+      let liveNode = live.childNodes[i];
+      const key = nextNode.id;
+      if (key && liveNode?.id !== key) {
+        const match = [...live.childNodes].slice(i + 1).find(node => node.id === key);
+        if (match) {
+          live.insertBefore(match, liveNode);
+          liveNode = match;
+        }
+      }
+
+      if (!liveNode) {
+        live.appendChild(nextNode);
+      } else if (liveNode.nodeType !== nextNode.nodeType || liveNode.nodeName !== nextNode.nodeName || (liveNode.id || '') !== (key || '')) {
+        live.replaceChild(nextNode, liveNode);
+      } else {
+        this._patchNode(liveNode, nextNode);
+      }
+    });
+    while (live.childNodes.length > nextNodes.length) {
+      live.removeChild(live.lastChild);
+    }
+  }
+
+  // Patch one node in place: text, attributes and form control state, then its children
+  _patchNode(live, next) {
+    if (live.nodeType !== Node.ELEMENT_NODE) {
+      if (live.nodeValue !== next.nodeValue) live.nodeValue = next.nodeValue;
+      return;
+    }
+    // The timeline segment being dragged is owned by the drag handler until release
+    if (live === this._timelineDrag?.segment) return;
+
+    const focused = this.shadowRoot.activeElement === live;
+    // Read before the children move over from the rendered markup
+    const selectedOption = live.tagName === 'SELECT' ? next.querySelector('option[selected]') : null;
+
+    [...next.attributes].forEach(({ name, value }) => {
+      if (live.getAttribute(name) !== value) live.setAttribute(name, value);
+    });
+    [...live.attributes].forEach(({ name }) => {
+      // Listener guards and runtime styles (e.g. slider fills) are set after rendering
+      if (next.hasAttribute(name) || name === 'data-listener-added' || name === 'style') return;
+      live.removeAttribute(name);
+    });
+    // value/checked attributes no longer drive an input the user has changed, so compare the properties
+    // with the rendered state (a slider left at a rejected value, an unchecked box); a focused input
+    // keeps what is being typed
+    if (live.tagName === 'INPUT' && !focused) {
+      if (next.hasAttribute('value') && live.value !== next.getAttribute('value')) live.value = next.getAttribute('value');
+      if (live.checked !== next.hasAttribute('checked')) live.checked = next.hasAttribute('checked');
+    }
+
+    this._patchChildren(live, next);
+    if (selectedOption && !focused && live.value !== selectedOption.value) live.value = selectedOption.value;
+  }
+
+  // Render the charging section HTML, one control card per configured slot
+  _renderChargingSection() {
+    const s = this._entities;
+    const es = this._hass.states;
+    const slots = this._slots.charge;
+    const sw = es[s.chargingSwitch];
+    const batteryChargePowerLimit = es[s.batteryChargePowerLimit];
+
+    const missing = [!sw && s.chargingSwitch];
+    slots.forEach(slot => {
+      missing.push(
+          !es[slot.start] && slot.start,
+          !es[slot.end] && slot.end,
+          !es[slot.dayMask] && slot.dayMask,
+          !es[slot.power] && slot.power
+      );
+    });
+    const missingIds = missing.filter(Boolean);
+    if (missingIds.length) {
+      return { html: `<div class="card-error"><h2>Charging Entities Missing</h2><p>Check: ${missingIds.join(', ')}</p></div>`, error: true };
+    }
+
+    if (this._currentView === 'schedule') {
+      return { html: this._renderScheduleSection('charge'), error: false };
+    }
+
+    const chargingEnabled = sw.state === 'on';
+    // Read pending_write status directly from the hass object
+    const pendingWrite = sw.attributes?.pending_write === true;
+    // Controls are also locked while the card's own write queue is busy with this direction
+    const busy = pendingWrite || this._isWriting('charge');
+    // The status card follows the slot last started from this card
+    const activeSlot = this._getActiveSlot('charge');
+    const chargeStart = es[activeSlot.start].state;
+    const chargeEnd = es[activeSlot.end].state;
+    const chargePower = this._toSliderKw(es[activeSlot.power].state, activeSlot.powerUnit, 'charge');
+    // Get actual power from battery charge power limit sensor (fallback to charge power if not available)
+    const actualChargePowerKw = batteryChargePowerLimit
+      ? this._getPowerKw(this._entities.batteryChargePowerLimit, this._units.batteryChargePowerLimit, 'charge')
+      : this._getPowerKw(activeSlot.power, activeSlot.powerUnit, 'charge');
+
+    const controlsHtml = slots.map(slot =>
+      this._renderChargeSlotControls(slot, slots.length > 1, chargingEnabled && slot.index === activeSlot.index, busy)
+    ).join('');
+      
+    const statusHtml = `
+      <ha-card>
+        <div class="card-content">
+          <div class="readonly-container">
+            <div class="status-line">
+              ${this._renderWriteStatus('charge') || (pendingWrite ?
+                '<span class="status-text status-pending">Wait for Modbus Transfer</span>' :
+                `<span class="status-text ${chargingEnabled ? 'status-active' : 'status-inactive'}">${chargingEnabled ? (slots.length > 1 ? `Active (${activeSlot.name})` : 'Active') : 'Inactive'}</span>`)
+              }
+            </div>
+            <div class="data-line">
+              <div class="readonly-field">
+                <span class="readonly-value">${actualChargePowerKw} kW</span>
+                <label class="readonly-label">Current Power</label>
+              </div>
+              ${this._renderSocField('charge')}
+              ${this._renderEnergyField('charge')}
+              ${this._renderTimeSelects(activeSlot.prefix, chargeStart, chargeEnd, chargePower, busy)}
+              ${this._renderCountdown('charge')}
+            </div>
+            ${this._renderPowerChart('charge', chargePower)}
           </div>
         </div>
       </ha-card>`;
@@ -484,7 +1115,372 @@ class SajH2InverterCardTimer extends HTMLElement {
       return { html: html, error: false };
   }
 
+  // Render the controls card for a single charge slot
+  _renderChargeSlotControls(slot, showSlotName, isRunning, pendingWrite) {
+    const es = this._hass.states;
+    const p = slot.prefix;
+    // Convert the slot's power to kW for slider display
+    const chargePowerKw = this._toSliderKw(es[slot.power].state, slot.powerUnit, 'charge');
+    const { minKw, maxKw } = this._getSliderRange('charge');
+    const heading = showSlotName ? `Charge ${slot.name}` : 'Charge Controls';
+
+    return `
+      <ha-card>
+        <div class="card-content">
+          <h3 class="section-heading">${heading}</h3>
+          <div class="controls-container">
+            <div class="power-control">
+              <div class="slider-container">
+                <input type="range" id="${p}-power-slider" class="power-slider" min="${minKw}" max="${maxKw}" step="${this._sliderStep}" value="${chargePowerKw}" ${pendingWrite ? 'disabled' : ''} title="Controls PV charge limits when charging disabled, PV+Grid when enabled" />
+                <span id="${p}-power-value" class="power-value">${chargePowerKw}&nbsp;kW</span>
+              </div>
+              ${this._renderSolarSuggestion(slot, pendingWrite)}
+            </div>
+
+            ${this._renderSocTargetControl(p, pendingWrite)}
+            
+            <div class="timer-control">
+              ${this._renderStopInput(slot, pendingWrite)}
+              <button id="${p}-enable" class="control-button enable-btn" ${pendingWrite ? 'disabled' : ''}>${isRunning ? 'Extend' : 'Enable'}</button>
+              <button id="${p}-disable" class="control-button disable-btn" ${pendingWrite || !isRunning ? 'disabled' : ''}>Disable</button>
+            </div>
+            ${this._renderEnergyPreview(slot)}
+            ${this._renderPresetChips(slot.type, p, isRunning, pendingWrite)}
+          </div>
+        </div>
+      </ha-card>`;
+  }
+
+  // Render the solar-aware grid charge suggestion under the power slider, with an Apply action
+  _renderSolarSuggestion(slot, pendingWrite) {
+    if (!this._getSolarSuggestion(slot)) return '';
+    return `
+              <div id="${slot.prefix}-solar-suggestion" class="solar-suggestion">${this._getSolarSuggestionHtml(slot, pendingWrite)}</div>`;
+  }
+
+  _getSolarSuggestionHtml(slot, pendingWrite = false) {
+    const suggestion = this._getSolarSuggestion(slot);
+    if (!suggestion) return '';
+    const forecast = `&#9728;&#65039; ${suggestion.solar.toFixed(1)} kWh solar ${suggestion.day}`;
+    if (!suggestion.grid) {
+      return `<span>${forecast}: no grid charge needed</span>`;
+    }
+    return `<span>${forecast}: suggest ${suggestion.kw} kW for ${this._formatDuration(suggestion.minutes)} (${suggestion.grid.toFixed(1)} kWh from grid)</span>
+                <button class="preset-chip solar-apply" ${pendingWrite ? 'disabled' : ''}>Apply</button>`;
+  }
+
+  // Work out how much grid energy a charge still needs once the expected solar is taken into account.
+  // Returns null unless the battery capacity, SOC and a solar forecast are all available.
+  _getSolarSuggestion(slot) {
+    if (!this._batteryCapacity) return null;
+    const soc = parseFloat(this._hass.states[this._entities.batterySoc]?.state);
+    const forecast = this._getSolarForecast();
+    if (isNaN(soc) || !forecast) return null;
+
+    // Fill to the slot's SOC target if one is set, otherwise to full
+    const target = parseInt(localStorage.getItem(this._storageKey(`${slot.prefix}-soc-target`)), 10) || 100;
+    const needed = Math.max(0, this._batteryCapacity * (target - soc) / 100);
+    const grid = Math.max(0, needed - forecast.kwh * this._solarShare);
+    const suggestion = { solar: forecast.kwh, day: forecast.day, grid: Math.round(grid * 10) / 10 };
+    if (!suggestion.grid) return suggestion;
+
+    // Spread the grid energy over the chosen duration at the lowest slider power that delivers it,
+    // then shorten the duration if even the minimum power gets there sooner
+    const minutes = parseInt(this._getTimerValue(slot.prefix, 30), 10) || 30;
+    const { minKw, maxKw } = this._getSliderRange('charge');
+    suggestion.kw = Math.min(maxKw, Math.max(minKw, this._snapKw(grid / (minutes / 60), Math.ceil)));
+    suggestion.minutes = Math.min(minutes, this._energyToMinutes(grid, suggestion.kw));
+    return suggestion;
+  }
+
+  // Expected solar energy for the next daylight period: today's forecast in the morning, tomorrow's after noon
+  _getSolarForecast() {
+    const read = entityId => {
+      const entity = this._hass.states[entityId];
+      const value = parseFloat(entity?.state);
+      if (isNaN(value)) return null;
+      return entity.attributes?.unit_of_measurement === 'Wh' ? value / 1000 : value;
+    };
+    const today = read(this._entities.solarForecastToday);
+    const tomorrow = read(this._entities.solarForecastTomorrow);
+    const candidates = new Date().getHours() < 12
+      ? [[today, 'today'], [tomorrow, 'tomorrow']]
+      : [[tomorrow, 'tomorrow'], [today, 'today']];
+    const found = candidates.find(([kwh]) => kwh !== null);
+    return found ? { kwh: found[0], day: found[1] } : null;
+  }
+
+  // Refresh the suggestion in place after its inputs (minutes, SOC target) change
+  _updateSolarSuggestion(slot) {
+    const container = this.shadowRoot?.querySelector(`#${slot.prefix}-solar-suggestion`);
+    if (container) container.innerHTML = this._getSolarSuggestionHtml(slot);
+  }
+
+  // Apply the suggestion: set the slider (and power entity), the minutes input and the kWh input
+  _applySolarSuggestion(slot) {
+    const suggestion = this._getSolarSuggestion(slot);
+    if (!suggestion?.grid) return;
+    const q = sel => this.shadowRoot.querySelector(sel);
+    const p = slot.prefix;
+    this._log.info(`Applying solar suggestion: ${suggestion.kw} kW for ${suggestion.minutes} min`);
+
+    const slider = q(`#${p}-power-slider`);
+    if (slider) {
+      slider.value = suggestion.kw;
+      this._updateSingleSliderStyle(slider);
+    }
+    const valueDisplay = q(`#${p}-power-value`);
+    if (valueDisplay) valueDisplay.innerHTML = suggestion.kw + '&nbsp;kW';
+    this._setEntityValue(slot.power, this._fromKw(suggestion.kw, slot.powerUnit, 'charge'), 'number');
+
+    localStorage.setItem(this._storageKey(`${p}-timer`), String(suggestion.minutes));
+    localStorage.setItem(this._storageKey(`${p}-energy`), String(suggestion.grid));
+    const timerInput = q(`#${p}-timer`);
+    if (timerInput) timerInput.value = suggestion.minutes;
+    const energyInput = q(`#${p}-energy`);
+    if (energyInput) energyInput.value = suggestion.grid;
+    this._updateEndTimeDisplay(p, suggestion.minutes);
+    this._updateEnergyPreview(slot);
+  }
+
+  // Render the "charge until SOC target" input; empty means charge for the full duration
+  _renderSocTargetControl(prefix, pendingWrite) {
+    if (!this._hass.states[this._entities.batterySoc]) return '';
+    return `
+            <div class="soc-control">
+              <label class="control-label">Stop at SOC (%):</label>
+              <input type="number" id="${prefix}-soc-target" class="timer-input" min="1" max="100" step="1" placeholder="off" value="${localStorage.getItem(this._storageKey(`${prefix}-soc-target`)) || ''}" ${pendingWrite ? 'disabled' : ''} title="Turn charging off once the battery reaches this SOC; the timer still applies as a safety cap" />
+            </div>`;
+  }
+
+  // Render the current battery SOC, with the stop target of the running session if it has one
+  _renderSocField(type) {
+    const soc = this._hass.states[this._entities.batterySoc];
+    if (!soc) return '';
+    const session = this._getSessionForSlot(type, this._getActiveSlot(type));
+    const switchEntity = type === 'charge' ? this._entities.chargingSwitch : this._entities.dischargingSwitch;
+    const running = this._hass.states[switchEntity]?.state === 'on';
+    const limit = session?.socTarget || session?.socFloor;
+    const target = running && limit ? ` &rarr; ${limit}%` : '';
+    return `
+              <div class="readonly-field">
+                <span class="readonly-value">${parseFloat(soc.state) || 0}%${target}</span>
+                <label class="readonly-label">Battery SOC</label>
+              </div>`;
+  }
+
+  // Render quick-duration chips; tapping one runs Enable (or Extend) with that duration
+  _renderPresetChips(type, prefix, isRunning, pendingWrite) {
+    const presets = this._presets[type];
+    if (!presets.length) return '';
+    return `
+            <div class="preset-chips" id="${prefix}-presets">
+              ${presets.map(minutes => `
+              <button class="preset-chip" data-minutes="${minutes}" title="${isRunning ? 'Extend' : 'Enable'} for ${this._formatDuration(minutes)}" ${pendingWrite ? 'disabled' : ''}>${this._formatDuration(minutes)}</button>`).join('')}
+            </div>`;
+  }
+
+  // Render the discharging section HTML, one control card per configured slot
+  _renderDischargingSection() {
+    const es = this._hass.states;
+    const slots = this._slots.discharge;
+    const sw = es[this._entities.dischargingSwitch];
+    const powerSensor = es[this._entities.dischargePowerSensor];
+
+    const missing = [!sw && this._entities.dischargingSwitch];
+    slots.forEach(slot => {
+      missing.push(
+          !es[slot.start] && slot.start,
+          !es[slot.end] && slot.end,
+          !es[slot.dayMask] && slot.dayMask,
+          !es[slot.power] && slot.power
+      );
+    });
+    const missingIds = missing.filter(Boolean);
+    if (missingIds.length) {
+      return { html: `<div class="card-error"><h2>Discharging Entities Missing</h2><p>Check: ${missingIds.join(', ')}</p></div>`, error: true };
+    }
+
+    if (this._currentView === 'schedule') {
+      return { html: this._renderScheduleSection('discharge'), error: false };
+    }
+
+    const dischargingEnabled = sw.state === 'on';
+    const pendingWrite = sw.attributes?.pending_write === true;
+    // Controls are also locked while the card's own write queue is busy with this direction
+    const busy = pendingWrite || this._isWriting('discharge');
+    // The status card follows the slot last started from this card
+    const activeSlot = this._getActiveSlot('discharge');
+    const dischargeStart = es[activeSlot.start].state;
+    const dischargeEnd = es[activeSlot.end].state;
+    const dischargePower = this._toSliderKw(es[activeSlot.power].state, activeSlot.powerUnit, 'discharge');
+    // Get actual power from sensor (fallback to input if sensor not available)
+    const actualDischargePowerKw = powerSensor
+      ? this._getPowerKw(this._entities.dischargePowerSensor, this._units.dischargePowerSensor, 'discharge')
+      : this._getPowerKw(activeSlot.power, activeSlot.powerUnit, 'discharge');
+
+    const controlsHtml = slots.map(slot =>
+      this._renderDischargeSlotControls(slot, slots.length > 1, dischargingEnabled && slot.index === activeSlot.index, busy)
+    ).join('');
+      
+    const statusHtml = `
+      <ha-card>
+        <div class="card-content">
+          <div class="readonly-container">
+            <div class="status-line">
+              ${this._renderWriteStatus('discharge') || (pendingWrite ?
+                '<span class="status-text status-pending">Wait for Modbus Transfer</span>' :
+                `<span class="status-text ${dischargingEnabled ? 'status-active' : 'status-inactive'}">${dischargingEnabled ? (slots.length > 1 ? `Active (${activeSlot.name})` : 'Active') : 'Inactive'}</span>`)
+              }
+            </div>
+            <div class="data-line">
+              <div class="readonly-field">
+                <span class="readonly-value">${actualDischargePowerKw} kW</span>
+                <label class="readonly-label">Current Power</label>
+              </div>
+              ${this._renderSocField('discharge')}
+              ${this._renderEnergyField('discharge')}
+              ${this._renderTimeSelects(activeSlot.prefix, dischargeStart, dischargeEnd, dischargePower, busy)}
+              ${this._renderCountdown('discharge')}
+            </div>
+            ${this._renderPowerChart('discharge', dischargePower)}
+          </div>
+        </div>
+      </ha-card>`;
+      
+    const html = controlsHtml + statusHtml;
+      return { html: html, error: false };
+  }
+
+  // Render the controls card for a single discharge slot
+  _renderDischargeSlotControls(slot, showSlotName, isRunning, pendingWrite) {
+    const es = this._hass.states;
+    const p = slot.prefix;
+    // Convert the slot's power to kW for slider display
+    const dischargePowerKw = this._toSliderKw(es[slot.power].state, slot.powerUnit, 'discharge');
+    const { minKw, maxKw } = this._getSliderRange('discharge');
+    const heading = showSlotName ? `Discharge ${slot.name}` : `Discharge Control v${SajH2InverterCardTimer.VERSION}`;
+
+    return `
+      <ha-card>
+        <div class="card-content">
+          <h3 class="section-heading">${heading}</h3>
+          <div class="controls-container">
+            <div class="power-control">
+              <div class="slider-container">
+                <input type="range" id="${p}-power-slider" class="power-slider" min="${minKw}" max="${maxKw}" step="${this._sliderStep}" value="${dischargePowerKw}" ${pendingWrite ? 'disabled' : ''} />
+                <span id="${p}-power-value" class="power-value">${dischargePowerKw}&nbsp;kW</span>
+              </div>
+            </div>
+
+            <div class="timer-control">
+              ${this._renderStopInput(slot, pendingWrite)}
+              <button id="${p}-enable" class="control-button enable-btn" ${pendingWrite ? 'disabled' : ''}>${isRunning ? 'Extend' : 'Enable'}</button>
+              <button id="${p}-disable" class="control-button disable-btn" ${pendingWrite || !isRunning ? 'disabled' : ''}>Disable</button>
+            </div>
+            ${this._renderEnergyPreview(slot)}
+            ${this._renderPresetChips(slot.type, p, isRunning, pendingWrite)}
+          </div>
+        </div>
+      </ha-card>`;
+  }
+
+  // Render the stop condition of a slot: minutes, energy in kWh, or (discharge with a SOC sensor) a SOC floor
+  _renderStopInput(slot, pendingWrite) {
+    const prefix = slot.prefix;
+    const stopMode = this._getStopMode(slot);
+    const socAvailable = slot.type === 'discharge' && this._hass.states[this._entities.batterySoc];
+    const select = `
+              <select id="${prefix}-stop-mode" class="control-label stop-mode-select" ${pendingWrite ? 'disabled' : ''}>
+                <option value="time" ${stopMode === 'time' ? 'selected' : ''}>Time (mins):</option>
+                <option value="energy" ${stopMode === 'energy' ? 'selected' : ''}>Energy (kWh):</option>
+                ${socAvailable ? `<option value="soc" ${stopMode === 'soc' ? 'selected' : ''}>SOC floor (%):</option>` : ''}
+              </select>`;
+    if (stopMode === 'soc') {
+      return `${select}
+              <input type="number" id="${prefix}-soc-floor" class="timer-input" min="1" max="100" step="1" value="${localStorage.getItem(this._storageKey(`${prefix}-soc-floor`)) || 30}" ${pendingWrite ? 'disabled' : ''} title="Turn discharging off once the battery drops to this SOC (stops after ${this._socCapMinutes} min at the latest)" />`;
+    }
+    if (stopMode === 'energy') {
+      return `${select}
+              <input type="number" id="${prefix}-energy" class="timer-input" min="0.1" max="100" step="0.1" value="${this._getEnergyValue(prefix)}" ${pendingWrite ? 'disabled' : ''} title="Run long enough to move this much energy at the slider power" />`;
+    }
+    return `${select}
+              <input type="number" id="${prefix}-timer" class="timer-input" min="1" max="1440" step="1" value="${this._getTimerValue(prefix, 30)}" />`;
+  }
+
+  // Stop condition chosen for a slot: 'time' (minutes), 'energy' (kWh) or 'soc' (discharge SOC floor)
+  _getStopMode(slot) {
+    const stored = localStorage.getItem(this._storageKey(`${slot.prefix}-stop-mode`));
+    if (stored === 'energy') return 'energy';
+    if (stored === 'soc' && slot.type === 'discharge' && this._hass?.states[this._entities.batterySoc]) return 'soc';
+    return 'time';
+  }
+
+  // Get the kWh input value from localStorage or the 1 kWh default
+  _getEnergyValue(prefix) {
+    return parseFloat(localStorage.getItem(this._storageKey(`${prefix}-energy`))) || 1;
+  }
+
+  // Minutes needed to move `kwh` at `kw`, capped one minute short of a day (a full day would end
+  // at the minute it starts); null if the power is zero
+  _energyToMinutes(kwh, kw) {
+    if (!(kw > 0) || !(kwh > 0)) return null;
+    return Math.min(1439, Math.max(1, Math.ceil(kwh / kw * 60)));
+  }
 
+  // Current slider power of a slot in kW, falling back to the entity value
+  _getSliderKw(slot) {
+    const slider = this.shadowRoot?.querySelector(`#${slot.prefix}-power-slider`);
+    if (slider) return parseFloat(slider.value);
+    return this._toSliderKw(this._hass.states[slot.power]?.state, slot.powerUnit, slot.type);
+  }
+
+  // Duration in minutes for Enable/Extend, from the slot's stop condition; null if it cannot be worked out
+  _getSessionDuration(slot) {
+    const stopMode = this._getStopMode(slot);
+    // In SOC mode the session runs until the floor, with the configured cap as its end time
+    if (stopMode === 'soc') return this._socCapMinutes;
+    if (stopMode === 'energy') return this._energyToMinutes(this._getEnergyValue(slot.prefix), this._getSliderKw(slot));
+    const timerInput = this.shadowRoot.querySelector(`#${slot.prefix}-timer`);
+    return timerInput ? parseInt(timerInput.value, 10) : 30;
+  }
+
+  // Render the computed duration and end time of a kWh session, shown before Enable is pressed
+  _renderEnergyPreview(slot) {
+    if (this._getStopMode(slot) !== 'energy') return '';
+    return `
+            <div id="${slot.prefix}-energy-preview" class="energy-preview">${this._getEnergyPreviewText(slot)}</div>`;
+  }
+
+  _getEnergyPreviewText(slot) {
+    const kwh = this._getEnergyValue(slot.prefix);
+    const kw = this._getSliderKw(slot);
+    const minutes = this._energyToMinutes(kwh, kw);
+    if (!minutes) return 'Set a power above 0 kW';
+    const end = new Date(Date.now() + minutes * 60000);
+    return `${kwh} kWh at ${kw} kW &asymp; ${this._formatDuration(minutes)}, ends ${this._formatTime(end)}${minutes === 1439 ? ' (capped at 23 h 59 min)' : ''}`;
+  }
+
+  // Refresh the kWh preview in place after the power or energy input changes
+  _updateEnergyPreview(slot) {
+    const preview = this.shadowRoot?.querySelector(`#${slot.prefix}-energy-preview`);
+    if (preview) preview.innerHTML = this._getEnergyPreviewText(slot);
+  }
+
+  // Render energy delivered so far against the target of a running kWh session (needs an energy counter)
+  _renderEnergyField(type) {
+    const switchEntity = type === 'charge' ? this._entities.chargingSwitch : this._entities.dischargingSwitch;
+    if (this._hass.states[switchEntity]?.state !== 'on') return '';
+    const session = this._getSessionForSlot(type, this._getActiveSlot(type));
+    if (!session?.energyTarget) return '';
+    const delivered = this._getSessionEnergy(type, session);
+    if (delivered === null) return '';
+    return `
+              <div class="readonly-field">
+                <span class="readonly-value">${delivered.toFixed(1)} / ${session.energyTarget} kWh</span>
+                <label class="readonly-label">Energy</label>
+              </div>`;
+  }
 
   // Render the time input elements - showing end time in plain readonly style
   _renderTimeSelects(prefix, startTime, endTime, power = null, disabled = false) {
@@ -505,6 +1501,448 @@ class SajH2InverterCardTimer extends HTMLElement {
       </div>`;
   }
 
+  // Render a sparkline of battery power over the last chartHours hours while a session is running,
+  // with the slot's configured power drawn as a dashed line. Power is plotted as an absolute value.
+  _renderPowerChart(type, limitKw) {
+    const switchEntity = type === 'charge' ? this._entities.chargingSwitch : this._entities.dischargingSwitch;
+    const sensor = this._hass.states[this._entities.batteryPower];
+    if (!sensor || this._hass.states[switchEntity]?.state !== 'on') return '';
+
+    const end = Date.now();
+    const start = end - this._chartHours * 3600000;
+    const current = this._toBatteryKw(sensor.state, sensor.attributes?.unit_of_measurement);
+    const points = (this._powerHistory?.points || []).filter(point => point.time >= start);
+    if (current !== null) points.push({ time: end, kw: current });
+    if (points.length < 2) return '';
+
+    const [width, height] = [300, 60];
+    const top = Math.max(limitKw, ...points.map(point => point.kw)) * 1.1 || 1;
+    const x = time => ((time - start) / (end - start) * width).toFixed(1);
+    const y = kw => (height - kw / top * height).toFixed(1);
+    // Step line: each reading holds until the next one
+    const path = points.map((point, i) => i === 0
+      ? `M${x(point.time)},${y(point.kw)}`
+      : `H${x(point.time)}V${y(point.kw)}`).join('');
+
+    return `
+            <div class="power-chart">
+              <svg viewBox="0 0 ${width} ${height}" preserveAspectRatio="none" aria-hidden="true">
+                <path class="power-chart-line" d="${path}" />
+                <line class="power-chart-limit" x1="0" x2="${width}" y1="${y(limitKw)}" y2="${y(limitKw)}" />
+              </svg>
+              <div class="power-chart-legend">
+                <span>Battery power, last ${this._formatDuration(this._chartHours * 60)}</span>
+                <span class="power-chart-limit-label">Set: ${limitKw} kW</span>
+              </div>
+            </div>`;
+  }
+
+  // Convert a battery power reading to absolute kW, or null if it is not a number
+  _toBatteryKw(state, unit) {
+    const value = parseFloat(state);
+    if (isNaN(value)) return null;
+    return Math.abs(unit === 'kW' ? value : value / 1000);
+  }
+
+  // Load battery power from the recorder history. Reloads once the data is a minute old.
+  // A result that arrives after setConfig replaced the request is dropped.
+  _loadPowerHistory() {
+    const loaded = this._powerHistory;
+    if (loaded && (loaded.pending || Date.now() - loaded.time < 60000)) return;
+
+    const entityId = this._entities.batteryPower;
+    const now = new Date();
+    const request = { points: loaded?.points || [], time: now.getTime(), pending: true };
+    this._powerHistory = request;
+    this._hass.callWS({
+      type: 'history/history_during_period',
+      start_time: new Date(now.getTime() - this._chartHours * 3600000).toISOString(),
+      end_time: now.toISOString(),
+      entity_ids: [entityId],
+      minimal_response: true,
+      no_attributes: true,
+      significant_changes_only: false
+    }).then(result => {
+      const unit = this._hass.states[entityId]?.attributes?.unit_of_measurement;
+      // Compressed states use s/lu (seconds), full states use state/last_updated
+      request.points = (result?.[entityId] || [])
+        .map(entry => ({
+          time: entry.lu !== undefined ? entry.lu * 1000 : new Date(entry.last_updated || entry.last_changed).getTime(),
+          kw: this._toBatteryKw(entry.s !== undefined ? entry.s : entry.state, unit)
+        }))
+        .filter(point => point.kw !== null && !isNaN(point.time));
+    }).catch(err => {
+      this._log.warn(`Could not load history for ${entityId}:`, err);
+    }).finally(() => {
+      request.pending = false;
+      if (this._powerHistory === request) this._renderCard();
+    });
+  }
+
+  // Render the live countdown (remaining time and progress ring) for a running session.
+  // Values are refreshed every second by _updateCountdowns without re-rendering the card.
+  _renderCountdown(type) {
+    const timing = this._getSessionTiming(type);
+    if (!timing) return '';
+
+    const { text, progress } = this._getCountdownValues(timing);
+    // Circumference of the r=16 ring, used as the dash length
+    const circumference = 2 * Math.PI * 16;
+    return `
+      <div class="readonly-field countdown-field" data-countdown="${type}">
+        <svg class="countdown-ring" viewBox="0 0 40 40" aria-hidden="true">
+          <circle class="countdown-ring-track" cx="20" cy="20" r="16" />
+          <circle class="countdown-ring-progress" cx="20" cy="20" r="16"
+                  stroke-dasharray="${circumference.toFixed(2)}"
+                  stroke-dashoffset="${(circumference * (1 - progress)).toFixed(2)}" />
+        </svg>
+        <span class="readonly-value countdown-value">${text}</span>
+        <label class="readonly-label">Remaining</label>
+      </div>`;
+  }
+
+  // Get the start/end timestamps (ms) of the running session for a direction, or null when off.
+  // Prefers the server timer helper, then the session stored by this browser, then the slot times.
+  _getSessionTiming(type) {
+    if (!this._hass) return null;
+    const switchEntity = type === 'charge' ? this._entities.chargingSwitch : this._entities.dischargingSwitch;
+    if (this._hass.states[switchEntity]?.state !== 'on') return null;
+
+    if (this._serverTimer) {
+      const timer = this._hass.states[this._entities[`${type}Timer`]];
+      if (timer?.state === 'active' && timer.attributes?.finishes_at) {
+        const end = new Date(timer.attributes.finishes_at).getTime();
+        const [h, m, sec] = String(timer.attributes.duration || '0:0:0').split(':').map(Number);
+        const durationMs = ((h || 0) * 3600 + (m || 0) * 60 + (sec || 0)) * 1000;
+        return { start: end - durationMs, end };
+      }
+    }
+
+    const slot = this._getActiveSlot(type);
+    const session = this._getSessionForSlot(type, slot);
+    if (session) return { start: session.start, end: session.end };
+
+    // Started elsewhere: derive the window from the slot's start/end times
+    const startTime = this._hass.states[slot.start]?.state;
+    const endTime = this._hass.states[slot.end]?.state;
+    if (!/^([01]\d|2[0-3]):([0-5]\d)$/.test(startTime || '') || !/^([01]\d|2[0-3]):([0-5]\d)$/.test(endTime || '')) return null;
+    const start = this._getWindowStartDate(startTime).getTime();
+    const lengthMinutes = (this._timeToMinutes(endTime) - this._timeToMinutes(startTime) + 1440) % 1440;
+    const end = start + lengthMinutes * 60000;
+    // Outside the window the switch only arms the schedule; there is nothing to count down
+    if (!lengthMinutes || end <= Date.now()) return null;
+    return { start, end };
+  }
+
+  // Format remaining time as mm:ss (h:mm:ss past an hour) plus the fraction of the session left
+  _getCountdownValues(timing) {
+    const now = Date.now();
+    const remainingSeconds = Math.max(0, Math.ceil((timing.end - now) / 1000));
+    const total = timing.end - timing.start;
+    const progress = total > 0 ? Math.min(1, Math.max(0, (timing.end - now) / total)) : 0;
+
+    const hours = Math.floor(remainingSeconds / 3600);
+    const minutes = Math.floor(remainingSeconds % 3600 / 60);
+    const seconds = remainingSeconds % 60;
+    const mmss = `${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`;
+    return { text: hours ? `${hours}:${mmss}` : mmss, progress };
+  }
+
+  // Update the countdown text and ring in place, leaving the rest of the DOM (and focus) untouched
+  _updateCountdowns() {
+    if (!this.shadowRoot) return;
+    this.shadowRoot.querySelectorAll('[data-countdown]').forEach(field => {
+      const timing = this._getSessionTiming(field.dataset.countdown);
+      if (!timing) return;
+      const { text, progress } = this._getCountdownValues(timing);
+      const value = field.querySelector('.countdown-value');
+      if (value && value.textContent !== text) value.textContent = text;
+      const ring = field.querySelector('.countdown-ring-progress');
+      if (ring) {
+        const circumference = parseFloat(ring.getAttribute('stroke-dasharray'));
+        ring.setAttribute('stroke-dashoffset', (circumference * (1 - progress)).toFixed(2));
+      }
+    });
+  }
+
+  // Render a 24-hour timeline with one row per direction: the slot windows (faded when the switch is off or
+  // the day mask excludes today), overlaps between windows that run today, and a marker for the current time.
+  // Window edges can be dragged to change the slot's start/end time.
+  _renderTimeline() {
+    const windows = this._getTimelineWindows();
+    if (!windows.length) return '';
+
+    const percent = minutes => (minutes / 1440 * 100).toFixed(3);
+    const types = ['charge', 'discharge'].filter(type => this._mode === 'both' || this._mode === type);
+    const rows = types.map(type => {
+      const segments = windows.filter(w => w.type === type).map(w => this._getTimelineSegments(w).map(([start, end]) => {
+        const classes = ['timeline-window', type, w.today && w.enabled ? '' : 'inactive'].filter(Boolean).join(' ');
+        const days = w.days.length ? w.days.join(', ') : 'no days';
+        return `
+              <div class="${classes}" data-type="${type}" data-slot="${w.slot.index}" data-start="${start}" data-end="${end}"
+                   style="left: ${percent(start)}%; width: ${percent(end - start)}%;"
+                   title="${w.slot.name}: ${w.startTime} &ndash; ${w.endTime} (${days})">
+                ${start === w.start ? '<span class="timeline-handle" data-edge="start"></span>' : ''}
+                ${this._slots[type].length > 1 ? `<span class="timeline-window-label">${w.slot.index}</span>` : ''}
+                ${end === (w.end || 1440) ? '<span class="timeline-handle" data-edge="end"></span>' : ''}
+              </div>`;
+      }).join('')).join('');
+      return `
+            <div class="timeline-track" data-type="${type}">${segments}
+            </div>`;
+    }).join('');
+
+    const overlaps = this._getTimelineOverlaps(windows).map(([start, end]) => `
+            <div class="timeline-overlap" style="left: ${percent(start)}%; width: ${percent(end - start)}%;" title="Windows overlap"></div>`).join('');
+
+    const now = new Date();
+    return `
+      <ha-card>
+        <div class="card-content">
+          <div class="timeline">
+            <div class="timeline-labels">
+              ${types.map(type => `<span>${type === 'charge' ? 'Charge' : 'Discharge'}</span>`).join('')}
+            </div>
+            <div class="timeline-body" id="timeline-body">${rows}${overlaps}
+              <div class="timeline-now" style="left: ${percent(now.getHours() * 60 + now.getMinutes())}%;"></div>
+            </div>
+            <span></span>
+            <div class="timeline-axis">
+              ${[0, 6, 12, 18, 24].map(hour => `<span>${String(hour).padStart(2, '0')}:00</span>`).join('')}
+            </div>
+          </div>
+        </div>
+      </ha-card>`;
+  }
+
+  // Collect the start/end window of every configured slot, in minutes since midnight
+  _getTimelineWindows() {
+    const es = this._hass.states;
+    const timePattern = /^([01]\d|2[0-3]):([0-5]\d)$/;
+    const todayMask = this._getTodayDayMask();
+    const windows = [];
+    ['charge', 'discharge'].forEach(type => {
+      if (this._mode !== 'both' && this._mode !== type) return;
+      const switchEntity = type === 'charge' ? this._entities.chargingSwitch : this._entities.dischargingSwitch;
+      this._slots[type].forEach(slot => {
+        const startTime = es[slot.start]?.state;
+        const endTime = es[slot.end]?.state;
+        if (!timePattern.test(startTime || '') || !timePattern.test(endTime || '') || startTime === endTime) return;
+        const mask = parseInt(es[slot.dayMask]?.state) || 0;
+        const days = this._getDaysFromMask(mask);
+        windows.push({
+          type, slot, startTime, endTime,
+          start: this._timeToMinutes(startTime),
+          end: this._timeToMinutes(endTime),
+          today: (mask & todayMask) !== 0,
+          enabled: es[switchEntity]?.state === 'on',
+          days: Object.keys(days).filter(day => days[day]).map(day => day.charAt(0).toUpperCase() + day.slice(1, 3))
+        });
+      });
+    });
+    return windows;
+  }
+
+  // Split a window into [start, end] minute ranges within the day (two when it runs past midnight)
+  _getTimelineSegments(w) {
+    if (w.end > w.start) return [[w.start, w.end]];
+    return w.end === 0 ? [[w.start, 1440]] : [[w.start, 1440], [0, w.end]];
+  }
+
+  // Minute ranges where two windows that run today overlap
+  _getTimelineOverlaps(windows) {
+    const todays = windows.filter(w => w.today);
+    const overlaps = [];
+    todays.forEach((a, i) => {
+      todays.slice(i + 1).forEach(b => {
+        this._getTimelineSegments(a).forEach(([aStart, aEnd]) => {
+          this._getTimelineSegments(b).forEach(([bStart, bEnd]) => {
+            const start = Math.max(aStart, bStart);
+            const end = Math.min(aEnd, bEnd);
+            if (end > start) overlaps.push([start, end]);
+          });
+        });
+      });
+    });
+    return overlaps;
+  }
+
+  // Move the current-time marker without re-rendering
+  _updateTimelineNow() {
+    const marker = this.shadowRoot?.querySelector('.timeline-now');
+    if (!marker) return;
+    const now = new Date();
+    marker.style.left = `${((now.getHours() * 60 + now.getMinutes()) / 1440 * 100).toFixed(3)}%`;
+  }
+
+  // Render the collapsible list of recent charge/discharge sessions
+  _renderSessionHistory() {
+    const types = ['charge', 'discharge'].filter(type => this._mode === 'both' || this._mode === type);
+    let body = '';
+    if (this._historyOpen) {
+      const sessions = this._getSessionHistory(types);
+      const reasons = {
+        user: 'stopped by user', timer: 'stopped by timer', soc: 'SOC reached', energy: 'energy reached',
+        switched: 'other direction enabled', automation: 'stopped by automation'
+      };
+      body = sessions.length ? sessions.map(session => {
+        const minutes = Math.max(1, Math.round(((session.end || Date.now()) - session.start) / 60000));
+        const details = [
+          session.kw !== undefined ? `${session.kw} kW` : '',
+          session.extends ? `extended ${session.extends}&times;` : '',
+          session.end ? reasons[session.reason] || '' : 'running'
+        ].filter(Boolean).join(' &middot; ');
+        return `
+            <div class="history-row">
+              <span class="history-type history-${session.type}">${session.type === 'charge' ? 'Charge' : 'Discharge'}</span>
+              <span class="history-time">${new Date(session.start).toLocaleString([], { weekday: 'short', hour: '2-digit', minute: '2-digit' })}</span>
+              <span class="history-duration">${this._formatDuration(minutes)}</span>
+              <span class="history-details">${details}</span>
+            </div>`;
+      }).join('') : `
+            <div class="history-empty">${this._historyFetch?.pending ? 'Loading&hellip;' : 'No sessions in the last ' + SajH2InverterCardTimer.HISTORY_HOURS + ' hours'}</div>`;
+    }
+
+    return `
+      <ha-card>
+        <div class="card-content">
+          <h3 class="section-heading">
+            <button id="history-toggle" class="history-toggle" aria-expanded="${this._historyOpen}">
+              Recent sessions
+              <span class="history-chevron">${this._historyOpen ? '&#9652;' : '&#9662;'}</span>
+            </button>
+          </h3>
+          ${this._historyOpen ? `<div class="controls-container history-list">${body}
+          </div>` : ''}
+        </div>
+      </ha-card>`;
+  }
+
+  // Load switch on/off events from the logbook. Reloads when a switch changes state or the list is
+  // five minutes old; if the logbook cannot be read, the history is built from the local journal only.
+  _loadSessionHistory() {
+    const switches = [this._entities.chargingSwitch, this._entities.dischargingSwitch];
+    const key = switches.map(id => this._hass.states[id]?.state).join('|');
+    const fetched = this._historyFetch;
+    if (fetched && (fetched.pending || (fetched.key === key && Date.now() - fetched.time < 300000))) return;
+
+    const now = new Date();
+    this._historyFetch = { key, time: now.getTime(), pending: true };
+    this._hass.callWS({
+      type: 'logbook/get_events',
+      start_time: new Date(now.getTime() - SajH2InverterCardTimer.HISTORY_HOURS * 3600000).toISOString(),
+      end_time: now.toISOString(),
+      entity_ids: switches
+    }).then(events => {
+      this._logbookEvents = (events || [])
+        .filter(event => event.state === 'on' || event.state === 'off')
+        .map(event => ({
+          type: event.entity_id === this._entities.chargingSwitch ? 'charge' : 'discharge',
+          state: event.state,
+          time: event.when * 1000,
+          // Who turned the switch off, when this browser's journal does not know
+          reason: event.context_user_id ? 'user' : (event.context_domain === 'automation' || String(event.context_entity_id || '').startsWith('automation.') ? 'automation' : null)
+        }));
+    }).catch(err => {
+      this._log.warn('Could not load the logbook, showing local session history only:', err);
+      this._logbookEvents = null;
+    }).finally(() => {
+      this._historyFetch.pending = false;
+      this._renderCard();
+    });
+  }
+
+  // Build sessions { type, start, end, kw, extends, reason } (newest first). Start and end come from the
+  // logbook when it is available, otherwise from the journal; power, extensions and the stop reason are
+  // taken from journal entries within two minutes of the start/end.
+  _getSessionHistory(types) {
+    const journal = this._getSessionJournal();
+    const near = (entry, time) => Math.abs(entry.time - time) < 120000;
+    const sessions = [];
+
+    types.forEach(type => {
+      const events = this._logbookEvents
+        ? this._logbookEvents.filter(event => event.type === type)
+        : journal.filter(entry => entry.type === type && entry.action !== 'extend')
+            .map(entry => ({ state: entry.action === 'enable' ? 'on' : 'off', time: entry.time, reason: entry.reason }));
+      events.sort((a, b) => a.time - b.time);
+
+      let current = null;
+      events.forEach(event => {
+        if (event.state === 'on' && !current) {
+          current = { type, start: event.time, end: null };
+        } else if (event.state === 'off' && current) {
+          current.end = event.time;
+          current.reason = event.reason;
+          sessions.push(current);
+          current = null;
+        }
+      });
+      if (current) sessions.push(current);
+    });
+
+    sessions.forEach(session => {
+      const entries = journal.filter(entry => entry.type === session.type);
+      const enabled = entries.find(entry => entry.action === 'enable' && near(entry, session.start));
+      if (enabled) session.kw = enabled.kw;
+      session.extends = entries.filter(entry => entry.action === 'extend' &&
+        entry.time > session.start && entry.time <= (session.end || Date.now())).length;
+      const disabled = session.end && entries.find(entry => entry.action === 'disable' && near(entry, session.end));
+      if (disabled) session.reason = disabled.reason;
+    });
+
+    return sessions.sort((a, b) => b.start - a.start).slice(0, 10);
+  }
+
+  // Render the auto-plan card: planning inputs, a preview of the windows found in the price forecast
+  // and an Apply button that writes them to the first charge/discharge slot
+  _renderAutoPlan() {
+    const forecast = this._getPriceForecast();
+    if (!forecast.length) return '';
+
+    const settings = this._getAutoPlanSettings();
+    const plan = this._getAutoPlan(forecast);
+    const unit = this._hass.states[this._entities.priceForecast].attributes?.unit_of_measurement || '';
+    const today = new Date().toDateString();
+    const row = (type, label) => {
+      const planned = plan[type];
+      const text = planned
+        ? `${this._formatTime(planned.start)} &ndash; ${this._formatTime(planned.end)}${planned.start.toDateString() !== today ? ' (tomorrow)' : ''}`
+        : 'No window within the horizon';
+      const price = planned ? `avg ${Number(planned.average.toPrecision(3))} ${unit}` : '';
+      return `
+            <div class="plan-row">
+              <span class="plan-label">${label}</span>
+              <span class="plan-window">${text}</span>
+              <span class="plan-price">${price}</span>
+            </div>`;
+    };
+
+    return `
+      <ha-card>
+        <div class="card-content">
+          <h3 class="section-heading">Auto-plan</h3>
+          <div class="controls-container">
+            <div class="plan-settings">
+              <label class="control-label">Horizon (h):</label>
+              <input type="number" id="plan-horizon" class="timer-input" min="1" max="48" step="1" value="${settings.horizon}" />
+              ${'charge' in plan ? `
+              <label class="control-label">Charge (h):</label>
+              <input type="number" id="plan-charge-hours" class="timer-input" min="0.5" max="23" step="0.5" value="${settings.charge}" />` : ''}
+              ${'discharge' in plan ? `
+              <label class="control-label">Discharge (h):</label>
+              <input type="number" id="plan-discharge-hours" class="timer-input" min="0.5" max="23" step="0.5" value="${settings.discharge}" />` : ''}
+            </div>
+            ${'charge' in plan ? row('charge', 'Cheapest charge') : ''}
+            ${'discharge' in plan ? row('discharge', 'Priciest discharge') : ''}
+            <div class="timer-control">
+              <button id="plan-apply" class="control-button enable-btn" ${plan.charge || plan.discharge ? '' : 'disabled'}>Apply plan</button>
+            </div>
+          </div>
+        </div>
+      </ha-card>`;
+  }
+
   // Render toggle buttons for switching between charge and discharge modes
   _renderToggleButtons() {
     const chargeEnabled = this._hass.states[this._entities.chargingSwitch]?.state === 'on';
@@ -528,17 +1966,289 @@ class SajH2InverterCardTimer extends HTMLElement {
     `;
   }
 
-  // Switch between charge and discharge modes without auto-disabling
-  _switchViewMode(newMode) {
-    if (newMode === this._currentViewMode) return; // No change needed
-    
-    this._currentViewMode = newMode;
-    
-    // Re-render the card with the new mode
-    this._renderCard();
+  // Switch between charge and discharge modes without auto-disabling
+  _switchViewMode(newMode) {
+    if (newMode === this._currentViewMode) return; // No change needed
+    
+    this._currentViewMode = newMode;
+    
+    // Re-render the card with the new mode
+    this._renderCard();
+  }
+
+
+
+  // Render an error banner for each write the inverter did not take, with Retry and Dismiss actions.
+  // Banners stay until dismissed, retried successfully, or the entity shows the requested value.
+  _renderWriteMismatches() {
+    const mismatches = Object.values(this._writeMismatches);
+    if (!mismatches.length) return '';
+    return `
+      <div id="write-mismatches">
+        ${mismatches.map(m => {
+          const name = this._hass.states[m.entityId]?.attributes?.friendly_name || m.entityId;
+          return `
+        <ha-alert alert-type="error" class="write-mismatch" title="${m.entityId}">
+          ${name}: requested ${m.value}, inverter reports ${m.actual ?? 'unavailable'}
+          <div class="mismatch-actions">
+            <button class="mismatch-button" data-action="retry" data-entity="${m.entityId}">Retry</button>
+            <button class="mismatch-button" data-action="dismiss" data-entity="${m.entityId}">Dismiss</button>
+          </div>
+        </ha-alert>`;
+        }).join('')}
+      </div>`;
+  }
+
+  // Render a warning banner for each problem found in the configured windows
+  _renderConflictWarnings() {
+    return this._getScheduleConflicts().map(message => `
+      <ha-alert alert-type="warning" class="conflict-warning">${message}</ha-alert>`).join('');
+  }
+
+  // Check the configured slot windows of the directions this card controls. `overrides` maps a slot
+  // prefix to proposed { start, end, dayMask } values, to check a write before it is made.
+  // Returns one message per problem in any configured slot: overlapping charge/discharge windows (on any
+  // shared day), zero-length windows, empty day masks and windows that end before they start without the
+  // following day selected.
+  _getScheduleConflicts(overrides = {}) {
+    const es = this._hass.states;
+    const timePattern = /^([01]\d|2[0-3]):([0-5]\d)$/;
+    const dayNames = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+    const messages = [];
+    const windows = [];
+
+    ['charge', 'discharge'].forEach(type => {
+      if (this._mode !== 'both' && this._mode !== type) return;
+      this._slots[type].forEach(slot => {
+        const override = overrides[slot.prefix] || {};
+        const start = override.start ?? es[slot.start]?.state;
+        const end = override.end ?? es[slot.end]?.state;
+        const dayMask = override.dayMask ?? (parseInt(es[slot.dayMask]?.state) || 0);
+        if (!timePattern.test(start || '') || !timePattern.test(end || '')) return;
+
+        const label = `${type === 'charge' ? 'Charge' : 'Discharge'} ${slot.name}`;
+        if (start === end) {
+          messages.push(`${label} starts and ends at ${start}, so it never runs.`);
+          return;
+        }
+        if (!dayMask) {
+          messages.push(`${label} has no days selected, so it never runs.`);
+          return;
+        }
+        // A window past midnight needs the day after each selected day, or it may stop at midnight
+        const wraps = this._timeToMinutes(end) < this._timeToMinutes(start);
+        const nextDays = ((dayMask << 1) | (dayMask >> 6)) & 0x7f;
+        if (wraps && (nextDays & ~dayMask)) {
+          messages.push(`${label} ends before it starts (${start}&ndash;${end}) but not every following day is selected.`);
+        }
+        windows.push({ type, label, ranges: this._getWeeklyRanges(start, end, dayMask) });
+      });
+    });
+
+    // Charge and discharge windows that overlap on the same day(s)
+    windows.filter(w => w.type === 'charge').forEach(charge => {
+      windows.filter(w => w.type === 'discharge').forEach(discharge => {
+        const days = new Set();
+        charge.ranges.forEach(([aStart, aEnd]) => {
+          discharge.ranges.forEach(([bStart, bEnd]) => {
+            const start = Math.max(aStart, bStart);
+            if (Math.min(aEnd, bEnd) > start) days.add(Math.floor(start / 1440));
+          });
+        });
+        if (days.size) {
+          const dayList = [...days].sort((a, b) => a - b).map(day => dayNames[day]).join(', ');
+          messages.push(`${charge.label} overlaps ${discharge.label} on ${dayList}.`);
+        }
+      });
+    });
+    return messages;
+  }
+
+  // Minute ranges within the week (Monday 00:00 = 0) covered by a window on the days of its mask
+  _getWeeklyRanges(startTime, endTime, dayMask) {
+    const week = 7 * 1440;
+    const start = this._timeToMinutes(startTime);
+    const length = (this._timeToMinutes(endTime) - start + 1440) % 1440;
+    const ranges = [];
+    for (let day = 0; day < 7; day++) {
+      if (!(dayMask & (1 << day))) continue;
+      const from = day * 1440 + start;
+      const to = from + length;
+      // Sunday windows past midnight continue on Monday
+      if (to > week) {
+        ranges.push([from, week], [0, to - week]);
+      } else {
+        ranges.push([from, to]);
+      }
+    }
+    return ranges;
+  }
+
+  // Ask the user to confirm a write that adds schedule conflicts (or has other side effects in `notes`).
+  // Returns true when there is nothing to confirm or the user accepts.
+  _confirmWrite(overrides, notes = []) {
+    const messages = this._getWriteWarnings(overrides, notes);
+    if (!messages.length) return true;
+    return window.confirm(`${messages.join('\n')}\n\nContinue anyway?`);
+  }
+
+  // The notes plus the schedule conflicts a write would add, as plain text for a confirm dialog
+  _getWriteWarnings(overrides, notes = []) {
+    const existing = new Set(this._getScheduleConflicts());
+    const added = this._getScheduleConflicts(overrides).filter(message => !existing.has(message));
+    return [...notes, ...added].map(message => message.replace(/&ndash;/g, '-'));
+  }
+
+  // Work out what enabling a direction on a slot for `duration` minutes would write: a new window from
+  // now, or a later end for the running session on that slot. `notes` lists the other side effects.
+  _getEnableWrite(type, slot, duration) {
+    const now = new Date();
+    now.setSeconds(0, 0);
+    const end = new Date(now.getTime() + duration * 60000);
+    const switchKeys = { charge: 'chargingSwitch', discharge: 'dischargingSwitch' };
+
+    if (this._hass.states[this._entities[switchKeys[type]]]?.state === 'on' && this._getActiveSlot(type).index === slot.index) {
+      // Keep the original start so the day mask still covers the day the window began
+      const session = this._getSessionForSlot(type, slot);
+      const start = session ? new Date(session.start) : this._getWindowStartDate(this._hass.states[slot.start]?.state, now);
+      const dayMask = this._getDayMaskForWindow(start, end);
+      return { extend: true, start, end, overrides: { [slot.prefix]: { end: this._formatTime(end), dayMask } }, notes: [] };
+    }
+
+    // Covers the following day as well when the window wraps past midnight
+    const dayMask = this._getDayMaskForWindow(now, end);
+    const other = type === 'charge' ? 'discharge' : 'charge';
+    const notes = this._hass.states[this._entities[switchKeys[other]]]?.state === 'on'
+      ? [`${other === 'charge' ? 'Charging' : 'Discharging'} is on and will be turned off.`] : [];
+    return {
+      extend: false, start: now, end,
+      overrides: { [slot.prefix]: { start: this._formatTime(now), end: this._formatTime(end), dayMask } },
+      notes
+    };
+  }
+
+  // Render the tabs switching between the quick timer controls and the weekly schedule editor
+  _renderViewTabs() {
+    return `
+      <div class="view-tabs">
+        <button id="timer-view-btn" class="view-tab ${this._currentView === 'timer' ? 'active' : ''}">Quick timer</button>
+        <button id="schedule-view-btn" class="view-tab ${this._currentView === 'schedule' ? 'active' : ''}">Schedule</button>
+      </div>`;
+  }
+
+  // Render the schedule editor for a direction: recurring start/end, power and weekdays for each slot.
+  // Edits are kept in _scheduleDraft and only written when Save is pressed.
+  _renderScheduleSection(type) {
+    const sw = this._hass.states[type === 'charge' ? this._entities.chargingSwitch : this._entities.dischargingSwitch];
+    const pendingWrite = sw.attributes?.pending_write === true || this._isWriting(type);
+    const { minKw, maxKw } = this._getSliderRange(type);
+    const dirty = this._hasScheduleChanges(type);
+
+    const slotsHtml = this._slots[type].map(slot => {
+      const p = slot.prefix;
+      const values = this._getScheduleValues(slot);
+      return `
+            <div class="schedule-slot ${this._scheduleDraft[p] ? 'dirty' : ''}" id="${p}-schedule">
+              <div class="schedule-slot-name">${slot.name}</div>
+              <div class="schedule-fields">
+                <label class="schedule-field">
+                  <span class="control-label">Start</span>
+                  <input type="time" id="${p}-sched-start" class="schedule-time" value="${values.start}" ${pendingWrite ? 'disabled' : ''} />
+                </label>
+                <label class="schedule-field">
+                  <span class="control-label">End</span>
+                  <input type="time" id="${p}-sched-end" class="schedule-time" value="${values.end}" ${pendingWrite ? 'disabled' : ''} />
+                </label>
+                <label class="schedule-field">
+                  <span class="control-label">Power (kW)</span>
+                  <input type="number" id="${p}-sched-power" class="timer-input" min="${minKw}" max="${maxKw}" step="${this._sliderStep}" value="${values.power}" ${pendingWrite ? 'disabled' : ''} />
+                </label>
+              </div>
+              <div class="days-select">
+                ${this._renderDayCheckboxes(`${p}-sched`, values.dayMask, pendingWrite)}
+              </div>
+            </div>`;
+    }).join('');
+
+    return `
+      <ha-card>
+        <div class="card-content">
+          <h3 class="section-heading">${type === 'charge' ? 'Charge' : 'Discharge'} Schedule</h3>
+          <div class="controls-container">
+            ${slotsHtml}
+            <div class="timer-control">
+              <span id="${type}-schedule-status" class="schedule-status">${this._renderWriteStatus(type) || (dirty ? 'Unsaved changes' : '')}</span>
+              <button id="${type}-schedule-save" class="control-button enable-btn" ${!dirty || pendingWrite ? 'disabled' : ''}>Save</button>
+              <button id="${type}-schedule-cancel" class="control-button disable-btn" ${!dirty ? 'disabled' : ''}>Cancel</button>
+            </div>
+          </div>
+        </div>
+      </ha-card>`;
+  }
+
+  // Current schedule values of a slot (start, end, power in kW, day mask), with unsaved edits applied
+  _getScheduleValues(slot) {
+    const es = this._hass.states;
+    const saved = {
+      start: es[slot.start]?.state || '00:00',
+      end: es[slot.end]?.state || '00:00',
+      power: this._toSliderKw(es[slot.power]?.state, slot.powerUnit, slot.type),
+      dayMask: parseInt(es[slot.dayMask]?.state) || 0
+    };
+    return { ...saved, ...this._scheduleDraft[slot.prefix] };
+  }
+
+  _hasScheduleChanges(type) {
+    return this._slots[type].some(slot => this._scheduleDraft[slot.prefix]);
   }
 
+  // Record an edit; edits that match the saved value are dropped again
+  _updateScheduleDraft(slot, field, value) {
+    const p = slot.prefix;
+    const draft = { ...this._scheduleDraft[p], [field]: value };
+    delete this._scheduleDraft[p];
+    const saved = this._getScheduleValues(slot);
+    if (saved[field] === value) delete draft[field];
+    if (Object.keys(draft).length) this._scheduleDraft[p] = draft;
 
+    // Update the dirty markers and buttons in place, so a focused time input keeps its focus
+    const q = sel => this.shadowRoot.querySelector(sel);
+    q(`#${p}-schedule`)?.classList.toggle('dirty', !!this._scheduleDraft[p]);
+    const dirty = this._hasScheduleChanges(slot.type);
+    const status = q(`#${slot.type}-schedule-status`);
+    if (status) status.textContent = dirty ? 'Unsaved changes' : '';
+    const saveBtn = q(`#${slot.type}-schedule-save`);
+    if (saveBtn) saveBtn.disabled = !dirty;
+    const cancelBtn = q(`#${slot.type}-schedule-cancel`);
+    if (cancelBtn) cancelBtn.disabled = !dirty;
+  }
+
+  // Write all unsaved edits of a direction, only the fields that changed
+  _saveSchedule(type) {
+    const overrides = {};
+    this._slots[type].forEach(slot => {
+      if (this._scheduleDraft[slot.prefix]) overrides[slot.prefix] = this._scheduleDraft[slot.prefix];
+    });
+    if (!this._confirmWrite(overrides)) return;
+
+    const writes = [];
+    this._slots[type].forEach(slot => {
+      const draft = this._scheduleDraft[slot.prefix];
+      if (!draft) return;
+      this._log.info(`Saving ${type} schedule for ${slot.name}:`, draft);
+      if (draft.start !== undefined) writes.push({ entityId: slot.start, value: draft.start, domain: 'text', label: `${slot.name} start` });
+      if (draft.end !== undefined) writes.push({ entityId: slot.end, value: draft.end, domain: 'text', label: `${slot.name} end` });
+      if (draft.power !== undefined) writes.push({ entityId: slot.power, value: this._fromKw(draft.power, slot.powerUnit, type), domain: 'number', label: `${slot.name} power` });
+      if (draft.dayMask !== undefined) writes.push({ entityId: slot.dayMask, value: draft.dayMask, domain: 'number', label: `${slot.name} days` });
+      delete this._scheduleDraft[slot.prefix];
+    });
+    this._queueWrites(type, writes).catch(() => {}); // Failures are shown in the status line
+  }
+
+  _cancelSchedule(type) {
+    this._slots[type].forEach(slot => delete this._scheduleDraft[slot.prefix]);
+    this._renderCard();
+  }
 
   // Render day selection checkboxes
   _renderDayCheckboxes(prefix, mask, disabled = false) {
@@ -587,8 +2297,15 @@ class SajH2InverterCardTimer extends HTMLElement {
       this._addToggleEventListeners();
     }
     
+    this._addViewTabListeners();
+    this._addMismatchListeners();
+
     // Add section-specific listeners based on current view mode or specific mode
-    if (this._mode === 'both') {
+    if (this._currentView === 'schedule') {
+      ['charge', 'discharge']
+        .filter(type => this._mode === type || (this._mode === 'both' && this._currentViewMode === type))
+        .forEach(type => this._addScheduleListeners(type));
+    } else if (this._mode === 'both') {
       if (this._currentViewMode === 'charge') {
         this._addChargingEventListeners();
       } else {
@@ -598,6 +2315,181 @@ class SajH2InverterCardTimer extends HTMLElement {
       if (this._mode !== 'discharge') this._addChargingEventListeners();
       if (this._mode !== 'charge') this._addDischargingEventListeners();
     }
+
+    this._addTimelineListeners();
+    this._addAutoPlanListeners();
+    this._addHistoryListeners();
+  }
+
+  // Add pointer listeners for dragging window edges on the timeline. The window is resized in place while
+  // dragging (in 5 minute steps) and the new time is written to the slot's start/end entity on release.
+  _addTimelineListeners() {
+    const body = this.shadowRoot.querySelector('#timeline-body');
+    if (!body || body.hasAttribute('data-listener-added')) return;
+    body.setAttribute('data-listener-added', 'true');
+
+    const toMinutes = clientX => {
+      const rect = this._timelineDrag.rect;
+      const fraction = Math.min(1, Math.max(0, (clientX - rect.left) / rect.width));
+      return Math.round(fraction * 1440 / 5) * 5;
+    };
+
+    body.addEventListener('pointerdown', e => {
+      const handle = e.target.closest('.timeline-handle');
+      if (!handle) return;
+      const segment = handle.closest('.timeline-window');
+      const slot = this._slots[segment.dataset.type].find(s => s.index === parseInt(segment.dataset.slot, 10));
+      if (!slot) return;
+      e.preventDefault();
+      body.setPointerCapture?.(e.pointerId);
+      this._timelineDrag = { slot, edge: handle.dataset.edge, segment, minutes: null, rect: body.getBoundingClientRect() };
+    });
+
+    body.addEventListener('pointermove', e => {
+      const drag = this._timelineDrag;
+      if (!drag) return;
+      const segStart = parseInt(drag.segment.dataset.start, 10);
+      const segEnd = parseInt(drag.segment.dataset.end, 10);
+      // Keep at least 5 minutes between the edges; a window cannot be dragged across midnight
+      const minutes = drag.edge === 'start'
+        ? Math.min(toMinutes(e.clientX), segEnd - 5)
+        : Math.max(toMinutes(e.clientX), segStart + 5);
+      drag.minutes = minutes;
+      const [left, right] = drag.edge === 'start' ? [minutes, segEnd] : [segStart, minutes];
+      drag.segment.style.left = `${(left / 1440 * 100).toFixed(3)}%`;
+      drag.segment.style.width = `${((right - left) / 1440 * 100).toFixed(3)}%`;
+      drag.segment.setAttribute('data-drag-time', this._minutesToTime(minutes));
+    });
+
+    const endDrag = () => {
+      const drag = this._timelineDrag;
+      if (!drag) return;
+      this._timelineDrag = null;
+      const time = drag.minutes !== null ? this._minutesToTime(drag.minutes) : null;
+      if (time !== null && this._confirmWrite({ [drag.slot.prefix]: { [drag.edge]: time } })) {
+        const entityId = drag.edge === 'start' ? drag.slot.start : drag.slot.end;
+        this._log.info(`Timeline: setting ${drag.slot.type} ${drag.slot.name} ${drag.edge} to ${time}`);
+        this._setEntityValue(entityId, time, 'text');
+      }
+      this._renderCard();
+    };
+    body.addEventListener('pointerup', endDrag);
+    body.addEventListener('pointercancel', endDrag);
+  }
+
+  // Add listeners for the auto-plan inputs and Apply button
+  _addAutoPlanListeners() {
+    const q = sel => this.shadowRoot.querySelector(sel);
+
+    [['plan-horizon', 'horizon'], ['plan-charge-hours', 'charge-hours'], ['plan-discharge-hours', 'discharge-hours']].forEach(([id, key]) => {
+      const input = q(`#${id}`);
+      if (!input || input.hasAttribute('data-listener-added')) return;
+      input.setAttribute('data-listener-added', 'true');
+      input.addEventListener('change', e => {
+        const value = parseFloat(e.target.value);
+        const [min, max] = [parseFloat(e.target.min), parseFloat(e.target.max)];
+        if (value >= min && value <= max) {
+          localStorage.setItem(this._storageKey(`plan-${key}`), String(value));
+        }
+        this._renderCard();
+      });
+    });
+
+    const applyBtn = q('#plan-apply');
+    if (applyBtn && !applyBtn.hasAttribute('data-listener-added')) {
+      applyBtn.setAttribute('data-listener-added', 'true');
+      applyBtn.addEventListener('click', () => this._applyAutoPlan());
+    }
+  }
+
+  // Add the listener that opens and closes the recent sessions list
+  _addHistoryListeners() {
+    const toggle = this.shadowRoot.querySelector('#history-toggle');
+    if (!toggle || toggle.hasAttribute('data-listener-added')) return;
+    toggle.setAttribute('data-listener-added', 'true');
+    toggle.addEventListener('click', () => {
+      this._historyOpen = !this._historyOpen;
+      localStorage.setItem('saj-h2-history-open', String(this._historyOpen));
+      if (this._historyOpen) this._loadSessionHistory();
+      this._renderCard();
+    });
+  }
+
+  // Add listeners for the Retry and Dismiss buttons of the mismatch banners (event delegation)
+  _addMismatchListeners() {
+    const container = this.shadowRoot.querySelector('#write-mismatches');
+    if (!container || container.hasAttribute('data-listener-added')) return;
+    container.setAttribute('data-listener-added', 'true');
+    container.addEventListener('click', e => {
+      const button = e.target.closest('button[data-entity]');
+      if (!button) return;
+      if (button.dataset.action === 'retry') {
+        this._retryWriteMismatch(button.dataset.entity);
+      } else {
+        delete this._writeMismatches[button.dataset.entity];
+        this._renderCard();
+      }
+    });
+  }
+
+  // Add listeners for the Quick timer / Schedule tabs
+  _addViewTabListeners() {
+    [['#timer-view-btn', 'timer'], ['#schedule-view-btn', 'schedule']].forEach(([selector, view]) => {
+      const btn = this.shadowRoot.querySelector(selector);
+      if (!btn || btn.hasAttribute('data-listener-added')) return;
+      btn.setAttribute('data-listener-added', 'true');
+      btn.addEventListener('click', () => {
+        if (view === this._currentView) return;
+        this._currentView = view;
+        localStorage.setItem('saj-h2-view', view);
+        this._renderCard();
+      });
+    });
+  }
+
+  // Add listeners for the schedule editor of a direction; inputs only update the draft
+  _addScheduleListeners(type) {
+    const q = sel => this.shadowRoot.querySelector(sel);
+
+    this._slots[type].forEach(slot => {
+      const p = slot.prefix;
+      ['start', 'end'].forEach(field => {
+        const input = q(`#${p}-sched-${field}`);
+        if (!input || input.hasAttribute('data-listener-added')) return;
+        input.setAttribute('data-listener-added', 'true');
+        input.addEventListener('change', e => {
+          if (/^([01]\d|2[0-3]):([0-5]\d)$/.test(e.target.value)) {
+            this._updateScheduleDraft(slot, field, e.target.value);
+          }
+        });
+      });
+
+      const power = q(`#${p}-sched-power`);
+      if (power && !power.hasAttribute('data-listener-added')) {
+        power.setAttribute('data-listener-added', 'true');
+        power.addEventListener('change', e => {
+          // Snap to the slider steps within its range
+          const min = parseFloat(e.target.min);
+          const max = parseFloat(e.target.max);
+          const kw = Math.min(max, Math.max(min, this._snapKw(parseFloat(e.target.value) || min)));
+          e.target.value = kw;
+          this._updateScheduleDraft(slot, 'power', kw);
+        });
+      }
+
+      this._setupDayListeners(`${p}-sched`, mask => this._updateScheduleDraft(slot, 'dayMask', mask));
+    });
+
+    const saveBtn = q(`#${type}-schedule-save`);
+    if (saveBtn && !saveBtn.hasAttribute('data-listener-added')) {
+      saveBtn.setAttribute('data-listener-added', 'true');
+      saveBtn.addEventListener('click', () => this._saveSchedule(type));
+    }
+    const cancelBtn = q(`#${type}-schedule-cancel`);
+    if (cancelBtn && !cancelBtn.hasAttribute('data-listener-added')) {
+      cancelBtn.setAttribute('data-listener-added', 'true');
+      cancelBtn.addEventListener('click', () => this._cancelSchedule(type));
+    }
   }
 
   // Add event listeners for mode toggle buttons
@@ -623,248 +2515,678 @@ class SajH2InverterCardTimer extends HTMLElement {
   // Add listeners for the charging section
   // This version only calls the service, no optimistic UI updates.
   _addChargingEventListeners() {
+    if (!this.shadowRoot) return;
+
+    this._slots.charge.forEach(slot => this._addChargeSlotListeners(slot));
+
+    // Setup custom time selectors for the slot shown in the status card
+    const activeSlot = this._getActiveSlot('charge');
+    this._setupTimeListeners(activeSlot.prefix, activeSlot.start, activeSlot.end);
+  }
+
+  // Add listeners for the controls of a single charge slot
+  _addChargeSlotListeners(slot) {
     const q = sel => this.shadowRoot.querySelector(sel);
-    const chargeSection = q('.charging-section');
-    if (!chargeSection) return;
+    const p = slot.prefix;
 
     // Charge Enable Button
-    const enableBtn = q('#charging-enable');
+    const enableBtn = q(`#${p}-enable`);
     if (enableBtn && !enableBtn.hasAttribute('data-listener-added')) {
       enableBtn.setAttribute('data-listener-added', 'true');
       enableBtn.addEventListener('click', () => {
-        const entityId = this._entities.chargingSwitch;
-        const currentState = this._hass.states[entityId]?.state;
-        const timerInput = q('#charge-timer');
-        const chargePowerSlider = q('#charge-power-slider');
-        const duration = timerInput ? parseInt(timerInput.value, 10) : 30;
-        
-        if (currentState === 'on') {
-          // Extend functionality: Set end time to current time + duration
-          const currentTime = this._getCurrentTime();
-          const extendedEndTime = this._calculateEndTime(currentTime, duration);
-          this._setEntityValue(this._entities.chargeEnd, extendedEndTime, 'text');
-        } else {
-          // Enable functionality: Set new timer-based schedule
-          // Auto-disable discharge if it's currently active
-          const dischargingSwitch = this._hass.states[this._entities.dischargingSwitch];
-          if (dischargingSwitch?.state === 'on') {
-            console.log('[saj-card] Auto-disabling discharge when enabling charge');
-            this._hass.callService('switch', 'turn_off', { entity_id: this._entities.dischargingSwitch });
-          }
-          
-          // Convert kW slider value to percentage for entity
-          const chargePowerKw = chargePowerSlider ? parseFloat(chargePowerSlider.value) : 1.25;
-          const chargePower = this._sliderKwToPercent(chargePowerKw);
-          
-          const startTime = this._getCurrentTime();
-          const endTime = this._calculateEndTime(startTime, duration);
-          const dayMask = this._getTodayDayMask();
-          
-          // Set the time schedule and power first
-          this._setEntityValue(this._entities.chargeStart, startTime, 'text');
-          this._setEntityValue(this._entities.chargeEnd, endTime, 'text');
-          this._setEntityValue(this._entities.chargeDayMask, dayMask, 'number');
-          this._setEntityValue(this._entities.chargePower, chargePower, 'number');
-          
-          // Small delay to ensure time settings are processed before enabling
-          setTimeout(() => {
-            this._hass.callService('switch', 'turn_on', { entity_id: entityId });
-          }, 100);
-        }
+        const chargePowerSlider = q(`#${p}-power-slider`);
+        const duration = this._getSessionDuration(slot);
+        if (!duration) return;
+        const chargePowerKw = chargePowerSlider ? parseFloat(chargePowerSlider.value) : 1.25;
+        this._enableChargeSlot(slot, duration, chargePowerKw);
       });
     }
 
+    // Charge Stop Condition Inputs
+    this._setupStopListeners(slot);
+
     // Charge Disable Button
-    const disableBtn = q('#charging-disable');
+    const disableBtn = q(`#${p}-disable`);
     if (disableBtn && !disableBtn.hasAttribute('data-listener-added')) {
       disableBtn.setAttribute('data-listener-added', 'true');
-      disableBtn.addEventListener('click', () => {
-        const entityId = this._entities.chargingSwitch;
-        this._hass.callService('switch', 'turn_off', { entity_id: entityId });
-      });
+      disableBtn.addEventListener('click', () => this._disableDirection('charge'));
     }
 
-    // Charge Time Inputs
-    this._setupTimeListeners('charge', this._entities.chargeStart, this._entities.chargeEnd);
-
     // Charge Power Slider
-    const slider = q('#charge-power');
-    if (slider && !slider.hasAttribute('data-listener-added')) {
-        slider.setAttribute('data-listener-added', 'true');
-        const powerValueDisplay = chargeSection.querySelector('.power-value');
-        slider.addEventListener('input', e => { // Update display and style immediately on input
-             const value = e.target.value;
-             if (powerValueDisplay) powerValueDisplay.textContent = `${value}%`;
-             this._updateSingleSliderStyle(slider); // Update track fill
-        });
-         slider.addEventListener('change', e => { // Send value to HA only on change (release)
-             // Convert percentage to 0.1% increments (multiply by 10)
-             this._setEntityValue(this._entities.chargePower, parseInt(e.target.value, 10) * 10, 'number');
-         });
-    }
-
-    // Charge Day Checkboxes
-    this._setupDayListeners('charge', this._entities.chargeDayMask);
-
-    // New Charge Power Slider
-    const newChargeSlider = q('#charge-power-slider');
-    if (newChargeSlider && !newChargeSlider.hasAttribute('data-listener-added')) {
-      newChargeSlider.setAttribute('data-listener-added', 'true');
-      newChargeSlider.addEventListener('input', e => {
+    const chargeSlider = q(`#${p}-power-slider`);
+    if (chargeSlider && !chargeSlider.hasAttribute('data-listener-added')) {
+      chargeSlider.setAttribute('data-listener-added', 'true');
+      chargeSlider.addEventListener('input', e => {
         const kwValue = parseFloat(e.target.value);
-        const valueDisplay = q('#charge-power-value');
+        const valueDisplay = q(`#${p}-power-value`);
         if (valueDisplay) {
           valueDisplay.innerHTML = kwValue + '&nbsp;kW';
         }
-        this._updateSingleSliderStyle(newChargeSlider);
+        this._updateSingleSliderStyle(chargeSlider);
+        this._updateEnergyPreview(slot);
       });
-      newChargeSlider.addEventListener('change', e => {
-        // Convert kW to percentage, then to 0.1% increments (multiply by 10)
-        const kwValue = parseFloat(e.target.value);
-        const percentValue = this._sliderKwToPercent(kwValue);
-        this._setEntityValue(this._entities.chargePower, percentValue * 10, 'number');
+      chargeSlider.addEventListener('change', e => {
+        // Convert kW to the slot's power unit
+        this._setEntityValue(slot.power, this._fromKw(parseFloat(e.target.value), slot.powerUnit, slot.type), 'number');
       });
     }
 
     // Charge Timer Input
-    const chargeTimer = q('#charge-timer');
+    const chargeTimer = q(`#${p}-timer`);
     if (chargeTimer && !chargeTimer.hasAttribute('data-listener-added')) {
       chargeTimer.setAttribute('data-listener-added', 'true');
       // Store timer value in localStorage for persistence
-      const savedValue = localStorage.getItem('saj-h2-charge-timer');
+      const savedValue = localStorage.getItem(this._storageKey(`${p}-timer`));
       if (savedValue) {
         chargeTimer.value = savedValue;
       }
       chargeTimer.addEventListener('change', e => {
-        localStorage.setItem('saj-h2-charge-timer', e.target.value);
-        this._updateEndTimeDisplay('charge', parseInt(e.target.value, 10));
+        localStorage.setItem(this._storageKey(`${p}-timer`), e.target.value);
+        this._updateEndTimeDisplay(p, parseInt(e.target.value, 10));
+        this._updateSolarSuggestion(slot);
       });
     }
-    
-    // Setup custom time selectors for charging
-    this._setupTimeListeners('charge', this._entities.chargeStart, this._entities.chargeEnd);
+
+    // Charge Solar Suggestion (event delegation, the suggestion is refreshed in place)
+    const solarSuggestion = q(`#${p}-solar-suggestion`);
+    if (solarSuggestion && !solarSuggestion.hasAttribute('data-listener-added')) {
+      solarSuggestion.setAttribute('data-listener-added', 'true');
+      solarSuggestion.addEventListener('click', e => {
+        const applyBtn = e.target.closest('.solar-apply');
+        if (!applyBtn || applyBtn.disabled) return;
+        this._applySolarSuggestion(slot);
+      });
+    }
+
+    // Charge SOC Target Input
+    const socTarget = q(`#${p}-soc-target`);
+    if (socTarget && !socTarget.hasAttribute('data-listener-added')) {
+      socTarget.setAttribute('data-listener-added', 'true');
+      socTarget.addEventListener('change', e => {
+        const value = parseInt(e.target.value, 10);
+        if (value >= 1 && value <= 100) {
+          localStorage.setItem(this._storageKey(`${p}-soc-target`), String(value));
+        } else {
+          e.target.value = '';
+          localStorage.removeItem(this._storageKey(`${p}-soc-target`));
+        }
+        this._updateSolarSuggestion(slot);
+      });
+    }
+
+    // Charge Preset Chips (event delegation on the chip row)
+    const presetRow = q(`#${p}-presets`);
+    if (presetRow && !presetRow.hasAttribute('data-listener-added')) {
+      presetRow.setAttribute('data-listener-added', 'true');
+      presetRow.addEventListener('click', e => {
+        const chip = e.target.closest('.preset-chip');
+        if (!chip || chip.disabled) return;
+        const duration = parseInt(chip.dataset.minutes, 10);
+        // Keep the minutes input in step with the chosen preset
+        const timerInput = q(`#${p}-timer`);
+        if (timerInput) {
+          timerInput.value = duration;
+          localStorage.setItem(this._storageKey(`${p}-timer`), String(duration));
+        }
+        const chargePowerSlider = q(`#${p}-power-slider`);
+        const chargePowerKw = chargePowerSlider ? parseFloat(chargePowerSlider.value) : 1.25;
+        this._enableChargeSlot(slot, duration, chargePowerKw);
+      });
+    }
+  }
+
+  // Enable or extend a timed charge on the given slot, leaving the other slots untouched.
+  // `confirmed` skips the confirmation, for callers that already asked.
+  _enableChargeSlot(slot, duration, chargePowerKw, confirmed = false) {
+    const entityId = this._entities.chargingSwitch;
+    const write = this._getEnableWrite('charge', slot, duration);
+
+    if (write.extend) {
+      this._extendSession('charge', slot, duration, confirmed);
+      return;
+    }
+
+    // Nothing to do if the battery is already at or above the requested target
+    const limits = this._getSessionLimits(slot);
+    const soc = parseFloat(this._hass.states[this._entities.batterySoc]?.state);
+    if (limits.socTarget && soc >= limits.socTarget) {
+      this.dispatchEvent(new CustomEvent('hass-notification', {
+          detail: { message: `Battery is at ${soc}%, already at or above the ${limits.socTarget}% target` },
+          bubbles: true, composed: true
+      }));
+      return;
+    }
+
+    // Convert kW slider value to the slot's power unit
+    const chargePower = this._fromKw(chargePowerKw, slot.powerUnit, 'charge');
+
+    // Real start/end timestamps, so windows that run past midnight are tracked correctly
+    const { start, end } = write;
+    const { start: startTime, end: endTime, dayMask } = write.overrides[slot.prefix];
+
+    // Ask before turning discharge off or writing a window that conflicts with the schedule
+    const dischargingSwitch = this._hass.states[this._entities.dischargingSwitch];
+    if (!confirmed && !this._confirmWrite(write.overrides, write.notes)) return;
+
+    // Enable functionality: Set new timer-based schedule on this slot
+    // Auto-disable discharge if it's currently active
+    if (dischargingSwitch?.state === 'on') {
+      this._log.info('Auto-disabling discharge when enabling charge');
+      this._endSession('discharge', 'switched');
+      this._hass.callService('switch', 'turn_off', { entity_id: this._entities.dischargingSwitch });
+    }
+
+    // Write the time schedule and power one by one, and only switch on once the inverter has them all
+    this._setActiveSlot('charge', slot);
+    const sessionLimits = limits;
+    this._queueWrites('charge', [
+      { entityId: slot.start, value: startTime, domain: 'text', label: 'start time' },
+      { entityId: slot.end, value: endTime, domain: 'text', label: 'end time' },
+      { entityId: slot.dayMask, value: dayMask, domain: 'number', label: 'days' },
+      { entityId: slot.power, value: chargePower, domain: 'number', label: 'power' }
+    ]).then(() => {
+      this._saveSession('charge', slot, start, end, sessionLimits);
+      this._startServerTimer('charge', end);
+      this._logSessionEvent('charge', 'enable', { slot: slot.name, minutes: duration, kw: chargePowerKw });
+      return this._hass.callService('switch', 'turn_on', { entity_id: entityId });
+    }).catch(() => {}); // Failures are shown in the status line
   }
 
   // Add listeners for the discharging section
   // This version only calls the service, no optimistic UI updates.
   _addDischargingEventListeners() {
+    if (!this.shadowRoot) return;
+
+    this._slots.discharge.forEach(slot => this._addDischargeSlotListeners(slot));
+
+    // Setup custom time selectors for the slot shown in the status card
+    const activeSlot = this._getActiveSlot('discharge');
+    this._setupTimeListeners(activeSlot.prefix, activeSlot.start, activeSlot.end);
+  }
+
+  // Add listeners for the controls of a single discharge slot
+  _addDischargeSlotListeners(slot) {
     const q = sel => this.shadowRoot.querySelector(sel);
-    const dischargeSection = q('.discharging-section');
-    if (!dischargeSection) return;
+    const p = slot.prefix;
 
     // Discharge Enable Button
-    const enableBtn = q('#discharging-enable');
+    const enableBtn = q(`#${p}-enable`);
     if (enableBtn && !enableBtn.hasAttribute('data-listener-added')) {
       enableBtn.setAttribute('data-listener-added', 'true');
       enableBtn.addEventListener('click', () => {
-        const entityId = this._entities.dischargingSwitch;
-        const currentState = this._hass.states[entityId]?.state;
-        const timerInput = q('#discharge-timer');
-        const dischargePowerSlider = q('#discharge-power-slider');
-        const duration = timerInput ? parseInt(timerInput.value, 10) : 30;
-        
-        if (currentState === 'on') {
-          // Extend functionality: Set end time to current time + duration
-          const currentTime = this._getCurrentTime();
-          const extendedEndTime = this._calculateEndTime(currentTime, duration);
-          this._setEntityValue(this._entities.dischargeEnd, extendedEndTime, 'text');
-        } else {
-          // Enable functionality: Set new timer-based schedule
-          // Auto-disable charge if it's currently active
-          const chargingSwitch = this._hass.states[this._entities.chargingSwitch];
-          if (chargingSwitch?.state === 'on') {
-            console.log('[saj-card] Auto-disabling charge when enabling discharge');
-            this._hass.callService('switch', 'turn_off', { entity_id: this._entities.chargingSwitch });
-          }
-          
-          // Convert kW slider value to percentage for entity
-          const dischargePowerKw = dischargePowerSlider ? parseFloat(dischargePowerSlider.value) : 2.5;
-          const dischargePower = this._sliderKwToPercent(dischargePowerKw);
-          
-          const startTime = this._getCurrentTime();
-          const endTime = this._calculateEndTime(startTime, duration);
-          const dayMask = this._getTodayDayMask();
-          
-          // Set the time schedule and power first
-          this._setEntityValue(this._entities.dischargeStart, startTime, 'text');
-          this._setEntityValue(this._entities.dischargeEnd, endTime, 'text');
-          this._setEntityValue(this._entities.dischargeDayMask, dayMask, 'number');
-          this._setEntityValue(this._entities.dischargePower, dischargePower, 'number');
-          
-          // Small delay to ensure time settings are processed before enabling
-          setTimeout(() => {
-            this._hass.callService('switch', 'turn_on', { entity_id: entityId });
-          }, 100);
-        }
+        const dischargePowerSlider = q(`#${p}-power-slider`);
+        const duration = this._getSessionDuration(slot);
+        if (!duration) return;
+        const dischargePowerKw = dischargePowerSlider ? parseFloat(dischargePowerSlider.value) : 2.5;
+        this._enableDischargeSlot(slot, duration, dischargePowerKw);
       });
     }
 
+    // Discharge Stop Condition Inputs
+    this._setupStopListeners(slot);
+
     // Discharge Disable Button
-    const disableBtn = q('#discharging-disable');
+    const disableBtn = q(`#${p}-disable`);
     if (disableBtn && !disableBtn.hasAttribute('data-listener-added')) {
       disableBtn.setAttribute('data-listener-added', 'true');
-      disableBtn.addEventListener('click', () => {
-        const entityId = this._entities.dischargingSwitch;
-        this._hass.callService('switch', 'turn_off', { entity_id: entityId });
-      });
+      disableBtn.addEventListener('click', () => this._disableDirection('discharge'));
     }
 
     // Discharge Power Slider
-    const dischargeSlider = q('#discharge-power');
+    const dischargeSlider = q(`#${p}-power-slider`);
     if (dischargeSlider && !dischargeSlider.hasAttribute('data-listener-added')) {
-        dischargeSlider.setAttribute('data-listener-added', 'true');
-        const dischargeSection = dischargeSlider.closest('.discharging-section');
-        const powerValueDisplay = dischargeSection?.querySelector('.power-value');
-        dischargeSlider.addEventListener('input', e => { // Update display and style immediately on input
-             const value = e.target.value;
-             if (powerValueDisplay) powerValueDisplay.textContent = `${value}%`;
-             this._updateSingleSliderStyle(dischargeSlider); // Update track fill
-        });
-         dischargeSlider.addEventListener('change', e => { // Send value to HA only on change (release)
-             this._setEntityValue(this._entities.dischargePower, parseInt(e.target.value, 10), 'number');
-         });
+      dischargeSlider.setAttribute('data-listener-added', 'true');
+      dischargeSlider.addEventListener('input', e => {
+        const kwValue = parseFloat(e.target.value);
+        const valueDisplay = q(`#${p}-power-value`);
+        if (valueDisplay) {
+          valueDisplay.innerHTML = kwValue + '&nbsp;kW';
+        }
+        this._updateSingleSliderStyle(dischargeSlider);
+        this._updateEnergyPreview(slot);
+      });
+      dischargeSlider.addEventListener('change', e => {
+        // Convert kW to the slot's power unit
+        this._setEntityValue(slot.power, this._fromKw(parseFloat(e.target.value), slot.powerUnit, slot.type), 'number');
+      });
+    }
+
+    // Discharge Timer Input
+    const dischargeTimer = q(`#${p}-timer`);
+    if (dischargeTimer && !dischargeTimer.hasAttribute('data-listener-added')) {
+      dischargeTimer.setAttribute('data-listener-added', 'true');
+      // Store timer value in localStorage for persistence
+      const savedValue = localStorage.getItem(this._storageKey(`${p}-timer`));
+      if (savedValue) {
+        dischargeTimer.value = savedValue;
+      }
+      dischargeTimer.addEventListener('change', e => {
+        localStorage.setItem(this._storageKey(`${p}-timer`), e.target.value);
+        this._updateEndTimeDisplay(p, parseInt(e.target.value, 10));
+      });
+    }
+
+    // Discharge Preset Chips (event delegation on the chip row)
+    const presetRow = q(`#${p}-presets`);
+    if (presetRow && !presetRow.hasAttribute('data-listener-added')) {
+      presetRow.setAttribute('data-listener-added', 'true');
+      presetRow.addEventListener('click', e => {
+        const chip = e.target.closest('.preset-chip');
+        if (!chip || chip.disabled) return;
+        const duration = parseInt(chip.dataset.minutes, 10);
+        // Keep the minutes input in step with the chosen preset
+        const timerInput = q(`#${p}-timer`);
+        if (timerInput) {
+          timerInput.value = duration;
+          localStorage.setItem(this._storageKey(`${p}-timer`), String(duration));
+        }
+        const dischargePowerSlider = q(`#${p}-power-slider`);
+        const dischargePowerKw = dischargePowerSlider ? parseFloat(dischargePowerSlider.value) : 2.5;
+        this._enableDischargeSlot(slot, duration, dischargePowerKw);
+      });
+    }
+  }
+
+  // Add listeners for the stop condition selector and its SOC floor / kWh inputs
+  _setupStopListeners(slot) {
+    const q = sel => this.shadowRoot.querySelector(sel);
+    const p = slot.prefix;
+
+    const stopMode = q(`#${p}-stop-mode`);
+    if (stopMode && !stopMode.hasAttribute('data-listener-added')) {
+      stopMode.setAttribute('data-listener-added', 'true');
+      stopMode.addEventListener('change', e => {
+        localStorage.setItem(this._storageKey(`${p}-stop-mode`), e.target.value);
+        this._renderCard();
+      });
+    }
+
+    const socFloor = q(`#${p}-soc-floor`);
+    if (socFloor && !socFloor.hasAttribute('data-listener-added')) {
+      socFloor.setAttribute('data-listener-added', 'true');
+      socFloor.addEventListener('change', e => {
+        const value = parseInt(e.target.value, 10);
+        if (value >= 1 && value <= 100) {
+          localStorage.setItem(this._storageKey(`${p}-soc-floor`), String(value));
+        } else {
+          e.target.value = localStorage.getItem(this._storageKey(`${p}-soc-floor`)) || 30;
+        }
+      });
+    }
+
+    const energy = q(`#${p}-energy`);
+    if (energy && !energy.hasAttribute('data-listener-added')) {
+      energy.setAttribute('data-listener-added', 'true');
+      energy.addEventListener('input', e => {
+        const value = parseFloat(e.target.value);
+        if (value > 0 && value <= 100) {
+          localStorage.setItem(this._storageKey(`${p}-energy`), String(value));
+          this._updateEnergyPreview(slot);
+        }
+      });
+      energy.addEventListener('change', e => {
+        e.target.value = this._getEnergyValue(p);
+      });
+    }
+  }
+
+  // Enable or extend a timed discharge on the given slot.
+  // `confirmed` skips the confirmation, for callers that already asked.
+  _enableDischargeSlot(slot, duration, dischargePowerKw, confirmed = false) {
+    const entityId = this._entities.dischargingSwitch;
+    const write = this._getEnableWrite('discharge', slot, duration);
+
+    if (write.extend) {
+      this._extendSession('discharge', slot, duration, confirmed);
+      return;
+    }
+
+    // Nothing to do if the battery is already at or below the requested floor
+    const limits = this._getSessionLimits(slot);
+    const soc = parseFloat(this._hass.states[this._entities.batterySoc]?.state);
+    if (limits.socFloor && soc <= limits.socFloor) {
+      this.dispatchEvent(new CustomEvent('hass-notification', {
+          detail: { message: `Battery is at ${soc}%, already at or below the ${limits.socFloor}% floor` },
+          bubbles: true, composed: true
+      }));
+      return;
+    }
+
+    // Convert kW slider value to the slot's power unit
+    const dischargePower = this._fromKw(dischargePowerKw, slot.powerUnit, 'discharge');
+
+    // Real start/end timestamps, so windows that run past midnight are tracked correctly
+    const { start, end } = write;
+    const { start: startTime, end: endTime, dayMask } = write.overrides[slot.prefix];
+
+    // Ask before turning charge off or writing a window that conflicts with the schedule
+    const chargingSwitch = this._hass.states[this._entities.chargingSwitch];
+    if (!confirmed && !this._confirmWrite(write.overrides, write.notes)) return;
+
+    // Enable functionality: Set new timer-based schedule on this slot
+    // Auto-disable charge if it's currently active
+    if (chargingSwitch?.state === 'on') {
+      this._log.info('Auto-disabling charge when enabling discharge');
+      this._endSession('charge', 'switched');
+      this._hass.callService('switch', 'turn_off', { entity_id: this._entities.chargingSwitch });
+    }
+
+    // Write the time schedule and power one by one, and only switch on once the inverter has them all
+    this._setActiveSlot('discharge', slot);
+    const sessionLimits = limits;
+    this._queueWrites('discharge', [
+      { entityId: slot.start, value: startTime, domain: 'text', label: 'start time' },
+      { entityId: slot.end, value: endTime, domain: 'text', label: 'end time' },
+      { entityId: slot.dayMask, value: dayMask, domain: 'number', label: 'days' },
+      { entityId: slot.power, value: dischargePower, domain: 'number', label: 'power' }
+    ]).then(() => {
+      this._saveSession('discharge', slot, start, end, sessionLimits);
+      this._startServerTimer('discharge', end);
+      this._logSessionEvent('discharge', 'enable', { slot: slot.name, minutes: duration, kw: dischargePowerKw });
+      return this._hass.callService('switch', 'turn_on', { entity_id: entityId });
+    }).catch(() => {}); // Failures are shown in the status line
+  }
+
+  // Expand slot config entries (slot numbers or entity maps) into slot descriptors
+  _resolveSlots(type, slotsConfig) {
+    const templates = SajH2InverterCardTimer.SLOT_ENTITY_TEMPLATES[type];
+    return slotsConfig.map((entry, i) => {
+      const slot = typeof entry === 'number' ? { slot: entry } : entry;
+      const index = slot.slot !== undefined ? slot.slot : i + 1;
+      // Slot 1 follows the entity map so existing overrides keep working
+      const defaults = index === 1 ? {
+        start: this._entities[`${type}Start`],
+        end: this._entities[`${type}End`],
+        power: this._entities[`${type}Power`],
+        dayMask: this._entities[`${type}DayMask`]
+      } : {
+        start: this._expandPrefix(templates.start(index)),
+        end: this._expandPrefix(templates.end(index)),
+        power: this._expandPrefix(templates.power(index)),
+        dayMask: this._expandPrefix(templates.dayMask(index))
+      };
+      return {
+        type,
+        index,
+        name: slot.name || `Slot ${index}`,
+        // Slot 1 keeps the original element IDs and localStorage keys
+        prefix: index === 1 ? type : `${type}${index}`,
+        // Slot 1 follows the unit of the entity map's power entity, other slots are in percent
+        powerUnit: slot.powerUnit || (index === 1 ? this._units[`${type}Power`] : 'percent'),
+        start: slot.start || defaults.start,
+        end: slot.end || defaults.end,
+        power: slot.power || defaults.power,
+        dayMask: slot.dayMask || defaults.dayMask
+      };
+    });
+  }
+
+  // End the running session of a direction and turn its switch off
+  _disableDirection(type) {
+    const entityId = type === 'charge' ? this._entities.chargingSwitch : this._entities.dischargingSwitch;
+    this._endSession(type);
+    this._hass.callService('switch', 'turn_off', { entity_id: entityId });
+  }
+
+  // Get the slot last started from this card (falls back to the first configured slot)
+  _getActiveSlot(type) {
+    const slots = this._slots[type];
+    const stored = parseInt(localStorage.getItem(this._storageKey(`${type}-active-slot`)), 10);
+    return slots.find(slot => slot.index === stored) || slots[0];
+  }
+
+  // Remember which slot a session was started on
+  _setActiveSlot(type, slot) {
+    localStorage.setItem(this._storageKey(`${type}-active-slot`), String(slot.index));
+  }
+
+  // Store the real start/end timestamps of a timer session
+  _saveSession(type, slot, start, end, limits = {}) {
+    localStorage.setItem(this._storageKey(`${type}-session`), JSON.stringify({
+      slot: slot.index,
+      start: start.getTime(),
+      end: end.getTime(),
+      ...limits
+    }));
+  }
+
+  // Extra stop conditions for a new or extended session, taken from the slot's inputs
+  _getSessionLimits(slot) {
+    const limits = {};
+    const stopMode = this._getStopMode(slot);
+
+    if (stopMode === 'energy') {
+      // The energy counter is optional; without one the computed duration is the only stop
+      const energyStart = this._getEnergyReading(slot.type);
+      if (energyStart !== null) {
+        Object.assign(limits, { energyTarget: this._getEnergyValue(slot.prefix), energyStart });
+      }
+    }
+
+    if (!this._hass.states[this._entities.batterySoc]) return limits;
+    if (slot.type === 'charge') {
+      const socTarget = parseInt(localStorage.getItem(this._storageKey(`${slot.prefix}-soc-target`)), 10);
+      if (socTarget >= 1 && socTarget <= 100) limits.socTarget = socTarget;
+    } else if (stopMode === 'soc') {
+      limits.socFloor = parseInt(localStorage.getItem(this._storageKey(`${slot.prefix}-soc-floor`)), 10) || 30;
+    }
+    return limits;
+  }
+
+  // Read a direction's energy counter in kWh, or null if it is missing or unavailable
+  _getEnergyReading(type) {
+    const entity = this._hass.states[this._entities[`${type}EnergySensor`]];
+    const value = parseFloat(entity?.state);
+    if (isNaN(value)) return null;
+    return entity.attributes?.unit_of_measurement === 'Wh' ? value / 1000 : value;
+  }
+
+  // Energy (kWh) delivered since the session started; read-only, _updateSessionEnergy keeps the session current.
+  // A reading below the last recorded one means the daily counter reset and counts from zero.
+  _getSessionEnergy(type, session) {
+    const reading = this._getEnergyReading(type);
+    if (reading === null) return null;
+
+    const last = session.energyLast ?? session.energyStart;
+    const banked = session.energyBanked || 0;
+    return reading < last ? banked + last - session.energyStart + reading : banked + reading - session.energyStart;
+  }
+
+  // Record the energy counter in the stored session. Daily counters reset at midnight, so a drop
+  // in the reading banks what was counted so far and restarts from zero.
+  _updateSessionEnergy(type, session) {
+    const reading = this._getEnergyReading(type);
+    const last = session.energyLast ?? session.energyStart;
+    if (reading === null || reading === last) return;
+
+    if (reading < last) {
+      session.energyBanked = (session.energyBanked || 0) + last - session.energyStart;
+      session.energyStart = 0;
+    }
+    session.energyLast = reading;
+    localStorage.setItem(this._storageKey(`${type}-session`), JSON.stringify(session));
+  }
+
+  // Turn a direction off once its session's SOC or energy condition is met
+  _checkSessionLimits() {
+    if (!this._hass) return;
+
+    ['charge', 'discharge'].forEach(type => {
+      const switchEntity = type === 'charge' ? this._entities.chargingSwitch : this._entities.dischargingSwitch;
+      if (this._hass.states[switchEntity]?.state !== 'on') return;
+      const session = this._getSessionForSlot(type, this._getActiveSlot(type));
+      if (!session?.energyTarget) return;
+      this._updateSessionEnergy(type, session);
+      const delivered = this._getSessionEnergy(type, session);
+      if (delivered !== null && delivered >= session.energyTarget) {
+        this._log.info(`${delivered.toFixed(2)} kWh delivered, reached ${type} target of ${session.energyTarget} kWh`);
+        this._endSession(type, 'energy');
+        this._hass.callService('switch', 'turn_off', { entity_id: switchEntity });
+      }
+    });
+
+    const soc = parseFloat(this._hass.states[this._entities.batterySoc]?.state);
+    if (isNaN(soc)) return;
+
+    if (this._mode !== 'discharge' && this._hass.states[this._entities.chargingSwitch]?.state === 'on') {
+      const session = this._getSessionForSlot('charge', this._getActiveSlot('charge'));
+      if (session?.socTarget && soc >= session.socTarget) {
+        this._log.info(`Battery SOC ${soc}% reached target ${session.socTarget}%, turning off charging`);
+        this._endSession('charge', 'soc');
+        this._hass.callService('switch', 'turn_off', { entity_id: this._entities.chargingSwitch });
+      }
+    }
+
+    if (this._mode !== 'charge' && this._hass.states[this._entities.dischargingSwitch]?.state === 'on') {
+      const session = this._getSessionForSlot('discharge', this._getActiveSlot('discharge'));
+      if (session?.socFloor && soc <= session.socFloor) {
+        this._log.info(`Battery SOC ${soc}% reached floor ${session.socFloor}%, turning off discharging`);
+        this._endSession('discharge', 'soc');
+        this._hass.callService('switch', 'turn_off', { entity_id: this._entities.dischargingSwitch });
+      }
+    }
+  }
+
+  // Get the stored timer session, or null if none (or it is unreadable)
+  _getSession(type) {
+    try {
+      const session = JSON.parse(localStorage.getItem(this._storageKey(`${type}-session`)));
+      return session && typeof session.start === 'number' && typeof session.end === 'number' ? session : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  _clearSession(type) {
+    localStorage.removeItem(this._storageKey(`${type}-session`));
+  }
+
+  // End a session started from the card: forget it locally, stop the server timer and note why it ended
+  _endSession(type, reason = 'user') {
+    this._clearSession(type);
+    this._cancelServerTimer(type);
+    this._logSessionEvent(type, 'disable', { reason });
+  }
+
+  // Append an enable/extend/disable event to this browser's session journal (the logbook has no power or reason)
+  _logSessionEvent(type, action, details = {}) {
+    const journal = this._getSessionJournal();
+    journal.push({ type, action, time: Date.now(), ...details });
+    localStorage.setItem(this._storageKey('session-log'), JSON.stringify(journal.slice(-SajH2InverterCardTimer.JOURNAL_SIZE)));
+  }
+
+  _getSessionJournal() {
+    try {
+      const journal = JSON.parse(localStorage.getItem(this._storageKey('session-log')));
+      return Array.isArray(journal) ? journal : [];
+    } catch (e) {
+      return [];
     }
+  }
+
+  // Start (or restart) the Home Assistant timer helper that switches the direction off at `end`
+  _startServerTimer(type, end) {
+    if (!this._serverTimer) return;
+    const timerEntity = this._entities[`${type}Timer`];
+    const seconds = Math.max(1, Math.round((end.getTime() - Date.now()) / 1000));
+    const duration = [Math.floor(seconds / 3600), Math.floor(seconds % 3600 / 60), seconds % 60]
+      .map(part => String(part).padStart(2, '0')).join(':');
+
+    this._ensureServerTimer(type)
+      .then(() => this._hass.callService('timer', 'start', { entity_id: timerEntity, duration }))
+      .then(() => {
+        this._log.info(`Started ${timerEntity} for ${duration}`);
+      })
+      .catch(err => {
+        this._log.error(`✗ Error starting server timer ${timerEntity}:`, err);
+        this.dispatchEvent(new CustomEvent('hass-notification', {
+            detail: { message: `Error starting timer ${timerEntity}: ${err.message}` },
+            bubbles: true, composed: true
+        }));
+      });
+  }
+
+  // Cancel the timer helper so its automation does not fire for an already ended session
+  _cancelServerTimer(type) {
+    if (!this._serverTimer) return;
+    const timerEntity = this._entities[`${type}Timer`];
+    if (this._hass.states[timerEntity]?.state !== 'active' && this._hass.states[timerEntity]?.state !== 'paused') return;
+    this._hass.callService('timer', 'cancel', { entity_id: timerEntity })
+      .catch(err => {
+        this._log.error(`✗ Error cancelling server timer ${timerEntity}:`, err);
+      });
+  }
 
-    // Discharge Day Checkboxes
-    this._setupDayListeners('discharge', this._entities.dischargeDayMask);
+  // Create the timer helper (if missing) and the automation that turns the switch off when it finishes.
+  // Runs once per direction per page load; the automation is re-saved so it follows the configured switch.
+  _ensureServerTimer(type) {
+    if (this._serverTimerSetup[type]) return this._serverTimerSetup[type];
 
-    // New Discharge Power Slider
-    const newDischargeSlider = q('#discharge-power-slider');
-    if (newDischargeSlider && !newDischargeSlider.hasAttribute('data-listener-added')) {
-      newDischargeSlider.setAttribute('data-listener-added', 'true');
-      newDischargeSlider.addEventListener('input', e => {
-        const kwValue = parseFloat(e.target.value);
-        const valueDisplay = q('#discharge-power-value');
-        if (valueDisplay) {
-          valueDisplay.innerHTML = kwValue + '&nbsp;kW';
-        }
-        this._updateSingleSliderStyle(newDischargeSlider);
-      });
-      newDischargeSlider.addEventListener('change', e => {
-        // Convert kW to percentage
-        const kwValue = parseFloat(e.target.value);
-        const percentValue = this._sliderKwToPercent(kwValue);
-        this._setEntityValue(this._entities.dischargePower, percentValue, 'number');
+    const timerEntity = this._entities[`${type}Timer`];
+    const switchEntity = type === 'charge' ? this._entities.chargingSwitch : this._entities.dischargingSwitch;
+    const objectId = timerEntity.split('.')[1];
+    const automationId = `${objectId}_finished`;
+
+    const createTimer = this._hass.states[timerEntity]
+      ? Promise.resolve()
+      : this._hass.callWS({
+          type: 'timer/create',
+          // Home Assistant derives the entity ID from the slugified name
+          name: objectId.split('_').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' '),
+          icon: 'mdi:timer-outline',
+          restore: true
+        });
+
+    this._serverTimerSetup[type] = createTimer
+      .then(() => this._hass.callApi('POST', `config/automation/config/${automationId}`, {
+        id: automationId,
+        alias: `SAJ H2 card: stop ${type} when timer finishes`,
+        description: `Created by the SAJ H2 Inverter Card Timer. Turns off ${switchEntity} when ${timerEntity} finishes.`,
+        mode: 'single',
+        trigger: [{ platform: 'event', event_type: 'timer.finished', event_data: { entity_id: timerEntity } }],
+        action: [{ service: 'switch.turn_off', target: { entity_id: switchEntity } }]
+      }))
+      .catch(err => {
+        // Allow a retry on the next session start
+        this._serverTimerSetup[type] = null;
+        throw err;
       });
-    }
+    return this._serverTimerSetup[type];
+  }
 
-    // Discharge Timer Input
-    const dischargeTimer = q('#discharge-timer');
-    if (dischargeTimer && !dischargeTimer.hasAttribute('data-listener-added')) {
-      dischargeTimer.setAttribute('data-listener-added', 'true');
-      // Store timer value in localStorage for persistence
-      const savedValue = localStorage.getItem('saj-h2-discharge-timer');
-      if (savedValue) {
-        dischargeTimer.value = savedValue;
+  // Get the stored session only if it still describes what the slot entities hold.
+  // A schedule changed elsewhere (another browser, an automation) invalidates it.
+  _getSessionForSlot(type, slot) {
+    const session = this._getSession(type);
+    if (!session || session.slot !== slot.index) return null;
+    const endState = this._hass?.states[slot.end]?.state;
+    return endState === this._formatTime(new Date(session.end)) ? session : null;
+  }
+
+  // Extend a running session: set end time to current time + duration
+  _extendSession(type, slot, duration, confirmed = false) {
+    const write = this._getEnableWrite(type, slot, duration);
+    const { start, end } = write;
+    const { dayMask } = write.overrides[slot.prefix];
+    if (!confirmed && !this._confirmWrite(write.overrides)) return;
+
+    const sessionLimits = this._getSessionLimits(slot);
+    this._queueWrites(type, [
+      { entityId: slot.end, value: this._formatTime(end), domain: 'text', label: 'end time' },
+      { entityId: slot.dayMask, value: dayMask, domain: 'number', label: 'days' }
+    ]).then(() => {
+      // A running kWh session keeps counting from where it started and moves its target to what was
+      // delivered so far plus the newly entered kWh (read now, the count moved on meanwhile)
+      const running = this._getSession(type);
+      if (running?.slot === slot.index && running.energyTarget && sessionLimits.energyTarget) {
+        const { energyStart, energyBanked, energyLast } = running;
+        const energyTarget = (this._getSessionEnergy(type, running) || 0) + sessionLimits.energyTarget;
+        Object.assign(sessionLimits, { energyTarget, energyStart, energyBanked, energyLast });
       }
-      dischargeTimer.addEventListener('change', e => {
-        localStorage.setItem('saj-h2-discharge-timer', e.target.value);
-        this._updateEndTimeDisplay('discharge', parseInt(e.target.value, 10));
-      });
-    }
-    
-    // Setup custom time selectors for discharging
-    this._setupTimeListeners('discharge', this._entities.dischargeStart, this._entities.dischargeEnd);
+      this._saveSession(type, slot, start, end, sessionLimits);
+      this._startServerTimer(type, end);
+      this._logSessionEvent(type, 'extend', { slot: slot.name, minutes: duration });
+    }).catch(() => {}); // Failures are shown in the status line
   }
 
   // Helper to setup time input listeners
@@ -890,11 +3212,14 @@ class SajH2InverterCardTimer extends HTMLElement {
       };
       
       endInput.addEventListener('change', e => {
-          if (/^([01]\d|2[0-3]):([0-5]\d)$/.test(e.target.value)) {
+          if (/^([01]\d|2[0-3]):([0-5]\d)$/.test(e.target.value) && !this._confirmWrite({ [prefix]: { end: e.target.value } })) {
+               e.target.value = this._hass.states[endEntity]?.state || '00:00';
+               updateTimeDisplay(e.target.value);
+          } else if (/^([01]\d|2[0-3]):([0-5]\d)$/.test(e.target.value)) {
                this._setEntityValue(endEntity, e.target.value, 'text');
                updateTimeDisplay(e.target.value);
           } else {
-              console.warn(`[saj-h2-inverter-card] Invalid time format entered for ${endEntity}: ${e.target.value}. Reverting.`);
+              this._log.warn(`Invalid time format entered for ${endEntity}: ${e.target.value}. Reverting.`);
               const prevState = this._hass.states[endEntity]?.state;
                if (prevState && /^([01]\d|2[0-3]):([0-5]\d)$/.test(prevState)) {
                    e.target.value = prevState;
@@ -907,10 +3232,12 @@ class SajH2InverterCardTimer extends HTMLElement {
       });
     }
     
-    // Setup field click listener to trigger time picker
+    // Setup field click listener to trigger time picker. The field is reused when the active slot changes,
+    // so the input is looked up on each click from the field's current data-time-input
     if (timeField && !timeField.hasAttribute('data-listener-added')) {
       timeField.setAttribute('data-listener-added', 'true');
       timeField.addEventListener('click', () => {
+        const endInput = this.shadowRoot.getElementById(timeField.dataset.timeInput);
         if (endInput && !endInput.disabled) {
           endInput.focus();
           // Try showPicker if available, otherwise just focus
@@ -932,8 +3259,8 @@ class SajH2InverterCardTimer extends HTMLElement {
 
 
   // Helper to setup day checkbox listeners using event delegation
-  _setupDayListeners(prefix, maskEntity) {
-     if (!this.shadowRoot || !maskEntity) return;
+  _setupDayListeners(prefix, onChange) {
+     if (!this.shadowRoot || !onChange) return;
      const container = this.shadowRoot.querySelector(`#${prefix}-day-mo`)?.closest('.days-selection, .days-select');
 
      if (container && !container.hasAttribute(`data-day-listener-${prefix}`)) {
@@ -947,7 +3274,7 @@ class SajH2InverterCardTimer extends HTMLElement {
                         if (!isNaN(dayIndex)) newMask |= (1 << dayIndex);
                     }
                 });
-                this._setEntityValue(maskEntity, newMask, 'number');
+                onChange(newMask);
             }
         });
         // Mark initial checkboxes as having listener handled by container
@@ -965,35 +3292,202 @@ class SajH2InverterCardTimer extends HTMLElement {
   // Call HA service to set entity value
   _setEntityValue(entityId, value, domain = 'text') {
     if (!this._hass || !entityId) {
-        console.error(`[saj-h2-inverter-card] Attempted to set invalid entity ID: ${entityId}`);
+        this._log.error(`Attempted to set invalid entity ID: ${entityId}`);
         return;
     }
     
     // Check if entity exists in Home Assistant
     if (!this._hass.states[entityId]) {
-        console.error(`[saj-card] Entity ${entityId} does not exist in Home Assistant. Available entities:`, Object.keys(this._hass.states).filter(id => id.includes('saj')).slice(0, 10));
+        this._log.error(`Entity ${entityId} does not exist in Home Assistant. Available entities:`, Object.keys(this._hass.states).filter(id => id.includes('saj')).slice(0, 10));
         return;
     }
     
+    this._writeAndConfirm({ entityId, value, domain, label: entityId })
+      .catch(err => {
+        this._log.error(`✗ Error setting ${entityId}:`, err);
+        this.dispatchEvent(new CustomEvent('hass-notification', {
+            detail: { message: `Error setting ${entityId}: ${err.message}` },
+            bubbles: true, composed: true
+        }));
+      });
+  }
+
+  // Call the set_value (or turn_on/turn_off) service for an entity; returns the service call promise
+  _callSetValue(entityId, value, domain) {
     const service = domain === 'switch' ? `turn_${value}` : 'set_value';
     const serviceData = domain === 'switch' ? { entity_id: entityId } : { entity_id: entityId, value: value };
 
-    console.log(`[saj-card] Calling ${domain}.${service} for ${entityId} with value: ${value}`);
-    console.log(`[saj-card] Current entity state:`, this._hass.states[entityId]?.state);
-    
-    this._hass.callService(domain, service, serviceData)
+    this._log.debug(`Calling ${domain}.${service} for ${entityId} with value: ${value}`);
+    this._log.debug(`Current entity state:`, this._hass.states[entityId]?.state);
+    return this._hass.callService(domain, service, serviceData);
+  }
+
+  // Queue a sequence of writes for a direction. Each write is sent on its own and confirmed (state shows the
+  // value and no pending_write) before the next one starts; sequences run one after another. Resolves when
+  // every value is confirmed and rejects, after retries, with the write that could not be confirmed.
+  _queueWrites(type, writes) {
+    const run = () => writes.reduce((chain, write, i) => chain.then(() => {
+      this._setWriteProgress(type, { done: i, total: writes.length, label: write.label });
+      return this._writeAndConfirm(write);
+    }), Promise.resolve());
+
+    this._setWriteProgress(type, { done: 0, total: writes.length, label: 'queued' });
+    const sequence = this._writeQueue.then(run);
+    // A failed sequence must not block the ones queued after it
+    this._writeQueue = sequence.catch(() => {});
+
+    return sequence.then(() => {
+      this._setWriteProgress(type, null);
+    }, err => {
+      this._log.error(`✗ ${type} write sequence failed:`, err);
+      this._setWriteProgress(type, { error: err.message });
+      this.dispatchEvent(new CustomEvent('hass-notification', {
+          detail: { message: err.message },
+          bubbles: true, composed: true
+      }));
+      throw err;
+    });
+  }
+
+  // Send one write and read it back: resolves once Home Assistant shows the value. A write that fails or
+  // times out is sent again up to WRITE_RETRIES times. If the inverter settles on another value (clamped or
+  // rejected) or the retries run out, the write is recorded as a mismatch and the promise rejects.
+  _writeAndConfirm(write, attempt = 0) {
+    if (attempt === 0) this._removeWriteMismatch(write.entityId);
+    // Nothing to send when the inverter already has the value
+    if (attempt === 0 && this._isWriteSettled() && this._stateMatches(write.entityId, write.value)) return Promise.resolve();
+
+    // The integration first pushes the entity with pending_write and its old value; only an update
+    // without the pending flag is the inverter's answer
+    const before = this._hass.states[write.entityId]?.last_updated;
+    return this._callSetValue(write.entityId, write.value, write.domain)
+      .then(() => this._waitForState(() => this._isWriteSettled() && !this._isEntityPending(write.entityId) &&
+        (this._stateMatches(write.entityId, write.value) || this._hass.states[write.entityId]?.last_updated !== before),
+        SajH2InverterCardTimer.WRITE_TIMEOUT_MS))
       .then(() => {
-        console.log(`[saj-card] ✓ Successfully set ${entityId} = ${value}`);
+        if (this._stateMatches(write.entityId, write.value)) {
+          this._log.debug(`✓ Confirmed ${write.entityId} = ${write.value}`);
+          return;
+        }
+        // The inverter answered with another value; sending the same one again will not change that
+        const actual = this._hass.states[write.entityId]?.state;
+        this._addWriteMismatch(write, actual);
+        const err = new Error(`${write.label} (${write.entityId}) is ${actual} instead of ${write.value}`);
+        err.mismatch = true;
+        throw err;
       })
       .catch(err => {
-        console.error(`[saj-card] ✗ Error setting ${entityId}:`, err);
-        this.dispatchEvent(new CustomEvent('hass-notification', {
-            detail: { message: `Error setting ${entityId}: ${err.message}` },
-            bubbles: true, composed: true
-        }));
+        if (err.mismatch) throw err;
+        if (attempt < SajH2InverterCardTimer.WRITE_RETRIES) {
+          this._log.warn(`Retrying ${write.entityId} (${err.message})`);
+          return this._writeAndConfirm(write, attempt + 1);
+        }
+        this._addWriteMismatch(write, this._hass.states[write.entityId]?.state);
+        throw new Error(`Could not set ${write.label} (${write.entityId}) to ${write.value}: ${err.message}`);
       });
   }
 
+  // True when neither direction's switch reports a pending Modbus write
+  _isWriteSettled() {
+    return [this._entities.chargingSwitch, this._entities.dischargingSwitch]
+      .every(id => this._hass.states[id]?.attributes?.pending_write !== true);
+  }
+
+  _isEntityPending(entityId) {
+    return this._hass.states[entityId]?.attributes?.pending_write === true;
+  }
+
+  _addWriteMismatch(write, actual) {
+    this._log.warn(`✗ ${write.entityId}: requested ${write.value}, inverter reports ${actual}`);
+    this._writeMismatches[write.entityId] = { ...write, actual };
+    this._renderCard();
+  }
+
+  _removeWriteMismatch(entityId) {
+    if (!this._writeMismatches[entityId]) return;
+    delete this._writeMismatches[entityId];
+    this._renderCard();
+  }
+
+  // Send the requested value of a mismatch again
+  _retryWriteMismatch(entityId) {
+    const mismatch = this._writeMismatches[entityId];
+    if (!mismatch) return;
+    const { actual, ...write } = mismatch;
+    this._writeAndConfirm(write).catch(err => {
+      this.dispatchEvent(new CustomEvent('hass-notification', {
+          detail: { message: err.message },
+          bubbles: true, composed: true
+      }));
+    });
+  }
+
+  // Called on every hass update: drop mismatches whose entity now shows the requested value
+  _clearResolvedMismatches() {
+    Object.values(this._writeMismatches).forEach(m => {
+      if (this._stateMatches(m.entityId, m.value)) delete this._writeMismatches[m.entityId];
+    });
+  }
+
+  // True when an entity shows the given value (numbers compared numerically) and has no pending write
+  _stateMatches(entityId, value) {
+    const entity = this._hass.states[entityId];
+    if (!entity || this._isEntityPending(entityId)) return false;
+    return typeof value === 'number' ? parseFloat(entity.state) === value : entity.state === String(value);
+  }
+
+  // Resolve once `check` passes on a hass update, or reject after `timeout` ms
+  _waitForState(check, timeout) {
+    if (check()) return Promise.resolve();
+    return new Promise((resolve, reject) => {
+      const waiter = { check, resolve };
+      const timer = setTimeout(() => {
+        this._stateWaiters = this._stateWaiters.filter(w => w !== waiter);
+        reject(new Error(`not confirmed within ${Math.round(timeout / 1000)} s`));
+      }, timeout);
+      waiter.resolve = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+      this._stateWaiters.push(waiter);
+    });
+  }
+
+  // Called on every hass update: resolve the waiters whose check now passes
+  _resolveStateWaiters() {
+    this._stateWaiters = this._stateWaiters.filter(waiter => {
+      if (!waiter.check()) return true;
+      waiter.resolve();
+      return false;
+    });
+  }
+
+  _isWriting(type) {
+    return !!this._writeProgress[type] && !this._writeProgress[type].error;
+  }
+
+  _setWriteProgress(type, progress) {
+    if (progress) {
+      this._writeProgress[type] = progress;
+    } else {
+      delete this._writeProgress[type];
+    }
+    this._renderCard();
+    // Lets a multi-inverter card lock its "All inverters" controls while an inverter writes
+    this.dispatchEvent(new CustomEvent('saj-h2-write-progress', { bubbles: true }));
+  }
+
+  // Status line text for the write queue: progress while writing, the error after a failed sequence
+  _renderWriteStatus(type) {
+    const progress = this._writeProgress[type];
+    if (!progress) return '';
+    if (progress.error) {
+      return `<span class="status-text status-error" title="${progress.error}">Write failed: ${progress.error}</span>`;
+    }
+    const step = Math.min(progress.done + 1, progress.total);
+    return `<span class="status-text status-pending">Writing ${step}/${progress.total}: ${progress.label}&hellip;</span>`;
+  }
+
   // Calculate bitmask from day selection object
   _calculateDaymask(days) {
     const dayKeys = ['monday','tuesday','wednesday','thursday','friday','saturday','sunday'];
@@ -1030,16 +3524,51 @@ class SajH2InverterCardTimer extends HTMLElement {
     return `${endHours}:${endMinutes}`;
   }
 
+  // Format a Date as HH:MM
+  _formatTime(date) {
+    const hours = String(date.getHours()).padStart(2, '0');
+    const minutes = String(date.getMinutes()).padStart(2, '0');
+    return `${hours}:${minutes}`;
+  }
+
+  // Calculate day mask bit for a given date
+  _getDayMaskForDate(date) {
+    const day = date.getDay(); // 0 = Sunday, 1 = Monday, etc.
+    const dayIndex = day === 0 ? 6 : day - 1; // Convert to Monday=0, Sunday=6 format
+    return 1 << dayIndex;
+  }
+
   // Calculate day mask for today
   _getTodayDayMask() {
-    const today = new Date().getDay(); // 0 = Sunday, 1 = Monday, etc.
-    const dayIndex = today === 0 ? 6 : today - 1; // Convert to Monday=0, Sunday=6 format
-    return 1 << dayIndex;
+    return this._getDayMaskForDate(new Date());
+  }
+
+  // Calculate day mask covering every day a window touches (today and tomorrow if it wraps midnight)
+  _getDayMaskForWindow(start, end) {
+    let mask = 0;
+    const day = new Date(start);
+    day.setHours(0, 0, 0, 0);
+    // A window ending exactly at midnight does not run on the following day
+    const last = new Date(end.getTime() - 1);
+    while (day <= last) {
+      mask |= this._getDayMaskForDate(day);
+      day.setDate(day.getDate() + 1);
+    }
+    return mask || this._getDayMaskForDate(start);
+  }
+
+  // Resolve an HH:MM start time to its most recent occurrence at or before the reference date
+  _getWindowStartDate(startTime, reference = new Date()) {
+    const start = new Date(reference);
+    const minutes = this._timeToMinutes(startTime);
+    start.setHours(Math.floor(minutes / 60), minutes % 60, 0, 0);
+    if (start > reference) start.setDate(start.getDate() - 1);
+    return start;
   }
 
   // Get timer value from localStorage or return default
   _getTimerValue(type, defaultValue) {
-    const stored = localStorage.getItem(`saj-h2-${type}-timer`);
+    const stored = localStorage.getItem(this._storageKey(`${type}-timer`));
     return stored || defaultValue;
   }
 
@@ -1068,7 +3597,8 @@ class SajH2InverterCardTimer extends HTMLElement {
     
     // Get current power from slider
     const powerSlider = this.shadowRoot.querySelector(`#${type}-power-slider`);
-    const currentPower = powerSlider ? parseInt(powerSlider.value, 10) : 50;
+    const currentKw = powerSlider ? parseFloat(powerSlider.value) : this._getMaxKw(type) / 2;
+    const currentPower = this._fromKw(currentKw, this._units[`${type}Power`], type);
     
     // Calculate end time
     const endTime = this._calculateEndTime(currentTimeStr, durationMinutes);
@@ -1082,11 +3612,11 @@ class SajH2InverterCardTimer extends HTMLElement {
     const powerEntity = type === 'charge' ? this._entities.chargePower : this._entities.dischargePower;
     const dayMaskEntity = type === 'charge' ? this._entities.chargeDayMask : this._entities.dischargeDayMask;
     
-    console.log(`[saj-card] Set ${type} button pressed:`);
-    console.log(`[saj-card] - Time: ${currentTimeStr} to ${endTime} (${durationMinutes} minutes)`);
-    console.log(`[saj-card] - Power: ${currentPower}%`);
-    console.log(`[saj-card] - Day mask: ${dayMask} (today)`);
-    console.log(`[saj-card] - Entities: Start=${startEntity}, End=${endEntity}, Power=${powerEntity}, DayMask=${dayMaskEntity}`);
+    this._log.debug(`Set ${type} button pressed:`);
+    this._log.debug(`- Time: ${currentTimeStr} to ${endTime} (${durationMinutes} minutes)`);
+    this._log.debug(`- Power: ${currentKw} kW (${currentPower} ${this._units[`${type}Power`]})`);
+    this._log.debug(`- Day mask: ${dayMask} (today)`);
+    this._log.debug(`- Entities: Start=${startEntity}, End=${endEntity}, Power=${powerEntity}, DayMask=${dayMaskEntity}`);
     
     // Update all entities in Home Assistant
     this._setEntityValue(startEntity, currentTimeStr, 'text');
@@ -1094,60 +3624,206 @@ class SajH2InverterCardTimer extends HTMLElement {
     this._setEntityValue(powerEntity, currentPower, 'number');
     this._setEntityValue(dayMaskEntity, dayMask, 'number');
     
-    // Update the readonly display immediately (optimistic update)
+    // Update the readonly display immediately (optimistic update); the entity updates re-render the card
     const endTimeDisplay = this.shadowRoot.querySelector(`#${type}-end-time-display`);
     if (endTimeDisplay) {
       endTimeDisplay.textContent = endTime;
-      console.log(`[saj-card] Updated readonly display to ${endTime}`);
+      this._log.debug(`Updated readonly display to ${endTime}`);
     }
-    
-    // Force a re-render after a short delay to ensure entity changes are reflected
-    setTimeout(() => {
-      if (this.shadowRoot && !this._isUserInteracting()) {
-        this._renderCard();
-        console.log(`[saj-card] Forced re-render after Set button`);
-      }
-    }, 500);
   }
 
   // Check if timers have expired and automatically turn off switches
   _checkTimerExpiration() {
     if (!this._hass) return;
 
-    const currentTime = this._getCurrentTime();
-    const currentTimeMinutes = this._timeToMinutes(currentTime);
-
     // Check charging timer expiration
-    if (this._mode !== 'discharge') {
-      const chargingSwitch = this._hass.states[this._entities.chargingSwitch];
-      const chargeEndTime = this._hass.states[this._entities.chargeEnd];
-      
-      if (chargingSwitch?.state === 'on' && chargeEndTime?.state) {
-        const endTimeMinutes = this._timeToMinutes(chargeEndTime.state);
-        if (currentTimeMinutes >= endTimeMinutes) {
-          console.log(`[saj-card] Charge timer expired at ${chargeEndTime.state}, turning off charging`);
-          this._hass.callService('switch', 'turn_off', { 
-            entity_id: this._entities.chargingSwitch 
-          });
-        }
-      }
+    if (this._mode !== 'discharge' && this._isSessionExpired('charge', this._entities.chargingSwitch)) {
+      const chargeEndTime = this._hass.states[this._getActiveSlot('charge').end];
+      this._log.info(`Charge timer expired at ${chargeEndTime?.state}, turning off charging`);
+      this._clearSession('charge');
+      this._logSessionEvent('charge', 'disable', { reason: 'timer' });
+      this._hass.callService('switch', 'turn_off', {
+        entity_id: this._entities.chargingSwitch
+      });
     }
 
     // Check discharging timer expiration
-    if (this._mode !== 'charge') {
-      const dischargingSwitch = this._hass.states[this._entities.dischargingSwitch];
-      const dischargeEndTime = this._hass.states[this._entities.dischargeEnd];
-      
-      if (dischargingSwitch?.state === 'on' && dischargeEndTime?.state) {
-        const endTimeMinutes = this._timeToMinutes(dischargeEndTime.state);
-        if (currentTimeMinutes >= endTimeMinutes) {
-          console.log(`[saj-card] Discharge timer expired at ${dischargeEndTime.state}, turning off discharging`);
-          this._hass.callService('switch', 'turn_off', { 
-            entity_id: this._entities.dischargingSwitch 
-          });
-        }
+    if (this._mode !== 'charge' && this._isSessionExpired('discharge', this._entities.dischargingSwitch)) {
+      const dischargeEndTime = this._hass.states[this._getActiveSlot('discharge').end];
+      this._log.info(`Discharge timer expired at ${dischargeEndTime?.state}, turning off discharging`);
+      this._clearSession('discharge');
+      this._logSessionEvent('discharge', 'disable', { reason: 'timer' });
+      this._hass.callService('switch', 'turn_off', {
+        entity_id: this._entities.dischargingSwitch
+      });
+    }
+  }
+
+  // Determine whether the running session for a direction has passed its end
+  _isSessionExpired(type, switchEntity) {
+    if (this._hass.states[switchEntity]?.state !== 'on') return false;
+    // A running timer helper switches the direction off itself. If it could not be set up or started
+    // (e.g. a non-admin user), the card still does it while a dashboard is open.
+    if (this._serverTimer && ['active', 'paused'].includes(this._hass.states[this._entities[`${type}Timer`]]?.state)) return false;
+
+    const slot = this._getActiveSlot(type);
+    const session = this._getSessionForSlot(type, slot);
+    if (session) {
+      // Started from this browser: compare real timestamps
+      return Date.now() >= session.end;
+    }
+
+    // Started elsewhere: fall back to the slot's start/end times, allowing for windows past midnight
+    const startTime = this._hass.states[slot.start]?.state;
+    const endTime = this._hass.states[slot.end]?.state;
+    if (!endTime) return false;
+    const startMinutes = this._timeToMinutes(startTime);
+    const endMinutes = this._timeToMinutes(endTime);
+    const nowMinutes = this._timeToMinutes(this._getCurrentTime());
+    if (endMinutes < startMinutes) {
+      // Wrapping window (e.g. 23:30-00:30) is still running after its start or before its end
+      return nowMinutes >= endMinutes && nowMinutes < startMinutes;
+    }
+    return nowMinutes >= endMinutes;
+  }
+
+  // Read the price forecast as [{ start, end, price }] (ms timestamps) sorted by start. Any attribute holding a
+  // list of { start, price }-like objects is used, which covers the common price integrations
+  // (e.g. raw_today/raw_tomorrow, prices, forecasts, rates).
+  _getPriceForecast() {
+    const entity = this._hass?.states[this._entities.priceForecast];
+    if (!entity) return [];
+
+    const pick = (item, keys) => keys.map(key => item[key]).find(value => value !== undefined && value !== null);
+    const byStart = new Map();
+    Object.values(entity.attributes || {}).forEach(attribute => {
+      if (!Array.isArray(attribute)) return;
+      attribute.forEach(item => {
+        if (!item || typeof item !== 'object') return;
+        const start = new Date(pick(item, ['start', 'start_time', 'startsAt', 'time', 'from', 'period_start'])).getTime();
+        const end = new Date(pick(item, ['end', 'end_time', 'endsAt', 'to', 'period_end'])).getTime();
+        const price = parseFloat(pick(item, ['value', 'price', 'total', 'value_inc_vat', 'per_kwh', 'price_per_kwh']));
+        if (isNaN(start) || isNaN(price)) return;
+        byStart.set(start, { start, end: isNaN(end) ? null : end, price });
+      });
+    });
+
+    const forecast = [...byStart.values()].sort((a, b) => a.start - b.start);
+    // Intervals without an end run until the next one starts (or for an hour)
+    forecast.forEach((interval, i) => {
+      if (interval.end === null) interval.end = forecast[i + 1]?.start ?? interval.start + 3600000;
+    });
+    return forecast;
+  }
+
+  // Auto-plan inputs from localStorage: horizon and window lengths in hours
+  _getAutoPlanSettings() {
+    const read = (key, fallback) => parseFloat(localStorage.getItem(this._storageKey(`plan-${key}`))) || fallback;
+    return { horizon: read('horizon', 24), charge: read('charge-hours', 3), discharge: read('discharge-hours', 2) };
+  }
+
+  // Plan the cheapest charge and most expensive discharge window for the directions this card controls.
+  // A direction maps to its window, or null when the forecast has no window of that length within the horizon.
+  _getAutoPlan(forecast = this._getPriceForecast()) {
+    const settings = this._getAutoPlanSettings();
+    const plan = {};
+    if (this._mode !== 'discharge') plan.charge = this._findPriceWindow(forecast, settings.charge * 60, settings.horizon, true);
+    if (this._mode !== 'charge') plan.discharge = this._findPriceWindow(forecast, settings.discharge * 60, settings.horizon, false);
+    return plan;
+  }
+
+  // Find the contiguous window of `minutes` with the lowest (cheapest) or highest average price, starting at an
+  // interval boundary (or now, for the current interval) and ending within `horizonHours` from now
+  _findPriceWindow(forecast, minutes, horizonHours, cheapest) {
+    const now = new Date();
+    now.setSeconds(0, 0);
+    const limit = now.getTime() + horizonHours * 3600000;
+    const intervals = forecast.filter(interval => interval.end > now.getTime());
+
+    let best = null;
+    for (let i = 0; i < intervals.length; i++) {
+      const start = Math.max(intervals[i].start, now.getTime());
+      const end = start + minutes * 60000;
+      if (end > limit) break;
+
+      // Time-weighted average price over the window; a gap in the forecast rules the window out
+      let cost = 0;
+      let t = start;
+      for (let j = i; t < end; j++) {
+        const interval = intervals[j];
+        if (!interval || interval.start > t) break;
+        const until = Math.min(interval.end, end);
+        cost += interval.price * (until - t);
+        t = until;
+      }
+      if (t < end) continue;
+
+      const average = cost / (end - start);
+      if (!best || (cheapest ? average < best.average : average > best.average)) {
+        best = { start: new Date(start), end: new Date(end), average };
       }
     }
+    return best;
+  }
+
+  // Write the planned windows to the first slot of each direction. A direction whose first slot is
+  // running a session is left alone so the plan does not cut it short.
+  _applyAutoPlan() {
+    const plan = this._getAutoPlan();
+    const isRunning = (type, slot) => {
+      const switchEntity = type === 'charge' ? this._entities.chargingSwitch : this._entities.dischargingSwitch;
+      return this._hass.states[switchEntity]?.state === 'on' && this._getActiveSlot(type).index === slot.index;
+    };
+
+    const overrides = {};
+    Object.entries(plan).forEach(([type, planned]) => {
+      const slot = this._slots[type][0];
+      if (planned && !isRunning(type, slot)) {
+        overrides[slot.prefix] = {
+          start: this._formatTime(planned.start),
+          end: this._formatTime(planned.end),
+          dayMask: this._getDayMaskForWindow(planned.start, planned.end)
+        };
+      }
+    });
+    if (!this._confirmWrite(overrides)) return;
+
+    Object.entries(plan).forEach(([type, planned]) => {
+      if (!planned) return;
+      const slot = this._slots[type][0];
+      const switchEntity = type === 'charge' ? this._entities.chargingSwitch : this._entities.dischargingSwitch;
+      if (isRunning(type, slot)) {
+        this.dispatchEvent(new CustomEvent('hass-notification', {
+            detail: { message: `${type === 'charge' ? 'Charging' : 'Discharging'} is running on ${slot.name}, plan not applied` },
+            bubbles: true, composed: true
+        }));
+        return;
+      }
+
+      const { start: startTime, end: endTime, dayMask } = overrides[slot.prefix];
+      this._log.info(`Applying auto-plan: ${type} ${startTime}-${endTime} on ${slot.name}`);
+      this._queueWrites(type, [
+        { entityId: slot.start, value: startTime, domain: 'text', label: 'start time' },
+        { entityId: slot.end, value: endTime, domain: 'text', label: 'end time' },
+        { entityId: slot.dayMask, value: dayMask, domain: 'number', label: 'days' }
+      ]).catch(() => {}); // Failures are shown in the status line
+      // Show the planned slot in the status card unless another slot of this direction is running
+      if (this._hass.states[switchEntity]?.state !== 'on') {
+        this._setActiveSlot(type, slot);
+      }
+    });
+  }
+
+  // Format a duration in minutes for display, e.g. 45 min, 2 h, 1 h 30 min
+  _formatDuration(minutes) {
+    if (minutes < 60) return `${minutes} min`;
+    return minutes % 60 === 0 ? `${minutes / 60} h` : `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+  }
+
+  // Convert minutes since midnight to HH:MM (24:00 wraps to 00:00)
+  _minutesToTime(minutes) {
+    const wrapped = ((minutes % 1440) + 1440) % 1440;
+    return `${String(Math.floor(wrapped / 60)).padStart(2, '0')}:${String(wrapped % 60).padStart(2, '0')}`;
   }
 
   // Convert time string (HH:MM) to minutes for comparison
@@ -1179,17 +3855,53 @@ class SajH2InverterCardTimer extends HTMLElement {
 
   // Calculate the card size for Lovelace layout
   getCardSize() {
+    if (this._inverters) {
+      const active = this._inverters[this._activeInverter];
+      // The "All inverters" tab shows one control card per direction
+      return active ? 1 + active.card.getCardSize() : 1 + 3 * (this._mode === 'both' ? 2 : 1);
+    }
     let size = 1;
-    if (this._mode !== 'discharge') size += 3; // Charging section
-    if (this._mode !== 'charge') size += 3;    // Single discharging section
+    if (this._mode !== 'discharge') size += 1 + 2 * this._slots.charge.length; // Charging section, one card per slot
+    if (this._mode !== 'charge') size += 1 + 2 * this._slots.discharge.length; // Discharging section, one card per slot
     return Math.max(1, Math.min(15, size));
   }
 
   // Runs when the element is added to the DOM
   connectedCallback() {
-     if (this.shadowRoot && this._hass && !this.shadowRoot.innerHTML) {
+     if (this.shadowRoot && this._hass && !this._cardRoot) {
         this._renderCard();
      }
+     this._startTimers();
+  }
+
+  // Runs when the element is removed from the DOM
+  disconnectedCallback() {
+     this._stopTimers();
+  }
+
+  // Start the periodic work: countdown tick, sensor log and timer expiry check
+  _startTimers() {
+     if (this._timers.length || this._inverters) return;
+     // Tick the session countdown every second
+     this._timers.push(setInterval(() => {
+        this._updateCountdowns();
+        this._updateTimelineNow();
+     }, 1000));
+     // Log sensor entity values (debug level)
+     this._timers.push(setInterval(() => {
+        if (!this._hass) return;
+        const chargePowerEntity = this._hass.states[this._entities.chargePowerSensor];
+        const dischargePowerEntity = this._hass.states[this._entities.dischargePowerSensor];
+        this._log.debug(`Charge power: ${chargePowerEntity?.state}, discharge power: ${dischargePowerEntity?.state}`);
+     }, this._debugLogSeconds * 1000));
+     // Check for timer expiration (directions with a running server timer are left to Home Assistant)
+     this._timers.push(setInterval(() => this._checkTimerExpiration(), this._expiryCheckSeconds * 1000));
+  }
+
+  // Stop the timers started by _startTimers
+  _stopTimers() {
+     this._timers.forEach(timer => clearInterval(timer));
+     this._timers = [];
   }
 
   // Helper function for deep merging configuration objects
@@ -1373,6 +4085,65 @@ class SajH2InverterCardTimer extends HTMLElement {
         border-color: var(--input-disabled-ink-color, var(--divider-color)); color: var(--disabled-text-color);
       }
 
+      /* Timeline */
+      .timeline { display: grid; grid-template-columns: auto 1fr; gap: 0 12px; align-items: stretch; }
+      .timeline-labels { display: flex; flex-direction: column; gap: 6px; font-size: 0.85rem; color: var(--secondary-text-color); }
+      .timeline-labels span { height: 24px; line-height: 24px; }
+      .timeline-body { position: relative; display: flex; flex-direction: column; gap: 6px; }
+      .timeline-track { position: relative; height: 24px; border-radius: 4px; background-color: var(--secondary-background-color, rgba(127, 127, 127, 0.15)); }
+      .timeline-window {
+        position: absolute; top: 0; bottom: 0; border-radius: 4px; box-sizing: border-box;
+        display: flex; align-items: center; justify-content: center; min-width: 4px;
+      }
+      .timeline-window.charge { background-color: var(--success-color, #4caf50); }
+      .timeline-window.discharge { background-color: var(--warning-color, #ff9800); }
+      .timeline-window.inactive { opacity: 0.35; }
+      .timeline-window[data-drag-time]::after {
+        content: attr(data-drag-time); position: absolute; top: -22px; left: 50%; transform: translateX(-50%);
+        font-size: 0.75rem; padding: 1px 4px; border-radius: 3px; white-space: nowrap;
+        background-color: var(--card-background-color); color: var(--primary-text-color); border: 1px solid var(--divider-color);
+      }
+      .timeline-window-label { font-size: 0.75rem; color: var(--text-primary-color, #fff); pointer-events: none; }
+      .timeline-handle {
+        position: absolute; top: 0; bottom: 0; width: 8px; cursor: ew-resize; touch-action: none;
+      }
+      .timeline-handle[data-edge="start"] { left: -4px; }
+      .timeline-handle[data-edge="end"] { right: -4px; }
+      .timeline-handle:hover { background-color: rgba(0, 0, 0, 0.2); border-radius: 4px; }
+      .timeline-overlap {
+        position: absolute; top: 0; bottom: 0; pointer-events: none;
+        background: repeating-linear-gradient(45deg, rgba(219, 68, 55, 0.45) 0 4px, transparent 4px 8px);
+        border-left: 1px solid var(--error-color, #db4437); border-right: 1px solid var(--error-color, #db4437);
+      }
+      .timeline-now { position: absolute; top: -3px; bottom: -3px; width: 2px; margin-left: -1px; background-color: var(--primary-text-color); pointer-events: none; }
+      .timeline-axis {
+        display: flex; justify-content: space-between; margin-top: 4px;
+        font-size: 0.75rem; color: var(--secondary-text-color);
+      }
+
+      /* Battery Power Chart */
+      .power-chart { margin-top: 12px; }
+      .power-chart svg { display: block; width: 100%; height: 60px; }
+      .power-chart-line { fill: none; stroke: var(--primary-color); stroke-width: 1.5; vector-effect: non-scaling-stroke; }
+      .power-chart-limit {
+        stroke: var(--warning-color, #ff9800); stroke-width: 1; stroke-dasharray: 4 3; vector-effect: non-scaling-stroke;
+      }
+      .power-chart-legend {
+        display: flex; justify-content: space-between; margin-top: 4px;
+        font-size: 0.8rem; color: var(--secondary-text-color);
+      }
+      .power-chart-limit-label { color: var(--warning-color, #ff9800); }
+
+      /* Session Countdown */
+      .countdown-field { position: relative; }
+      .countdown-ring { width: 36px; height: 36px; transform: rotate(-90deg); flex-shrink: 0; }
+      .countdown-ring-track { fill: none; stroke: var(--divider-color); stroke-width: 4; }
+      .countdown-ring-progress {
+        fill: none; stroke: var(--primary-color); stroke-width: 4; stroke-linecap: round;
+        transition: stroke-dashoffset 1s linear;
+      }
+      .countdown-value { font-variant-numeric: tabular-nums; }
+
       /* Read-only Fields */
       .readonly-container {
         padding: 12px 16px; background-color: var(--secondary-background-color);
@@ -1395,6 +4166,9 @@ class SajH2InverterCardTimer extends HTMLElement {
         color: var(--warning-color, #ff9800);
         animation: pulse 1.5s infinite ease-in-out;
       }
+      .status-text.status-error {
+        color: var(--error-color, #f44336); text-align: center;
+      }
       .data-line {
         display: flex; gap: 16px; justify-content: space-around;
       }
@@ -1474,6 +4248,61 @@ class SajH2InverterCardTimer extends HTMLElement {
         transform: translateY(0px);
       }
 
+      .soc-control { display: flex; align-items: center; gap: 12px; }
+      .energy-preview { font-size: 0.9rem; color: var(--secondary-text-color); }
+      .solar-suggestion {
+        display: flex; flex-wrap: wrap; align-items: center; gap: 8px;
+        font-size: 0.9rem; color: var(--secondary-text-color);
+      }
+      .solar-suggestion .preset-chip { padding: 2px 12px; }
+
+      /* Recent Sessions */
+      .history-toggle {
+        display: flex; justify-content: space-between; align-items: center; width: 100%;
+        padding: 0; border: none; background: none; color: inherit; font: inherit; cursor: pointer; text-align: left;
+      }
+      .history-chevron { color: var(--secondary-text-color); }
+      .history-list { margin-top: 12px; gap: 8px; }
+      .history-row { display: flex; flex-wrap: wrap; align-items: baseline; gap: 4px 12px; font-size: 0.95rem; }
+      .history-type { min-width: 80px; font-weight: 500; }
+      .history-type.history-charge { color: var(--success-color, #4caf50); }
+      .history-type.history-discharge { color: var(--warning-color, #ff9800); }
+      .history-time, .history-duration { font-variant-numeric: tabular-nums; }
+      .history-details, .history-empty { color: var(--secondary-text-color); font-size: 0.9rem; }
+
+      /* Debug Panel */
+      .debug-panel { display: flex; flex-direction: column; gap: 2px; font-family: var(--code-font-family, monospace); font-size: 0.8rem; }
+      .debug-heading { margin-top: 8px; font-weight: 500; color: var(--secondary-text-color); }
+      .debug-row { display: flex; gap: 8px; align-items: baseline; }
+      .debug-time { color: var(--secondary-text-color); }
+      .debug-level { min-width: 40px; text-transform: uppercase; }
+      .debug-error .debug-level { color: var(--error-color, #f44336); }
+      .debug-warn .debug-level { color: var(--warning-color, #ff9800); }
+      .debug-message { flex: 1; word-break: break-all; }
+      .debug-state { font-weight: 500; }
+
+      /* Auto-plan */
+      .plan-settings { display: flex; flex-wrap: wrap; align-items: center; gap: 8px 12px; }
+      .plan-row { display: flex; flex-wrap: wrap; align-items: baseline; gap: 4px 12px; }
+      .plan-label { min-width: 140px; font-weight: 500; }
+      .plan-window { font-variant-numeric: tabular-nums; }
+      .plan-price { color: var(--secondary-text-color); font-size: 0.9rem; }
+      .stop-mode-select {
+        padding: 6px 4px; border: 1px solid var(--input-ink-color, var(--divider-color)); border-radius: 6px;
+        background-color: var(--input-fill-color, var(--card-background-color)); cursor: pointer; outline: none;
+      }
+
+      /* Quick-duration Preset Chips */
+      .preset-chips { display: flex; flex-wrap: wrap; gap: 8px; }
+      .preset-chip {
+        padding: 6px 14px; border-radius: 16px; border: 1px solid var(--primary-color);
+        background-color: transparent; color: var(--primary-color); font-size: 0.9rem; font-weight: 500;
+        cursor: pointer; transition: all 0.2s ease;
+      }
+      .preset-chip:hover:not(:disabled) { background-color: rgba(var(--primary-color-rgb), 0.1); }
+      .preset-chip:active:not(:disabled) { transform: scale(0.96); }
+      .preset-chip:disabled { border-color: var(--disabled-text-color); color: var(--disabled-text-color); cursor: not-allowed; }
+
       /* Days Selection */
       .days-selection, .days-select { display: flex; flex-wrap: wrap; gap: 10px 10px; margin-bottom: 12px; justify-content: flex-start; }
       .day-checkbox { display: flex; align-items: center; gap: 6px; cursor: pointer; padding: 4px 8px; border-radius: 12px; transition: background-color 0.2s ease; }
@@ -1520,6 +4349,39 @@ class SajH2InverterCardTimer extends HTMLElement {
         color: var(--primary-text-color); font-size: 0.95em;
       }
 
+      .conflict-warning { display: block; margin-bottom: 12px; }
+      .write-mismatch { display: block; margin-bottom: 12px; }
+      .mismatch-actions { display: flex; gap: 8px; margin-top: 8px; }
+      .mismatch-button {
+        padding: 4px 12px; border-radius: 4px; border: 1px solid var(--error-color, #f44336);
+        background: none; color: var(--error-color, #f44336); font-size: 0.9rem; cursor: pointer;
+      }
+
+      /* Quick Timer / Schedule Tabs */
+      .view-tabs { display: flex; gap: 4px; margin-bottom: 16px; border-bottom: 1px solid var(--divider-color); }
+      .view-tab {
+        padding: 8px 16px; border: none; border-bottom: 2px solid transparent; background: none;
+        color: var(--secondary-text-color); font-size: 0.95rem; font-weight: 500; cursor: pointer;
+      }
+      .view-tab.active { color: var(--primary-color); border-bottom-color: var(--primary-color); }
+      .inverter-running { color: var(--success-color, #4caf50); font-size: 0.7rem; vertical-align: middle; }
+
+      /* Schedule Editor */
+      .schedule-slot {
+        display: flex; flex-direction: column; gap: 10px; padding: 12px;
+        border: 1px solid var(--divider-color); border-radius: 8px;
+      }
+      .schedule-slot.dirty { border-color: var(--primary-color); }
+      .schedule-slot-name { font-weight: 500; }
+      .schedule-fields { display: flex; flex-wrap: wrap; gap: 12px; }
+      .schedule-field { display: flex; flex-direction: column; gap: 4px; }
+      .schedule-time {
+        padding: 6px 8px; border: 1px solid var(--input-ink-color, var(--divider-color)); border-radius: 6px;
+        background-color: var(--input-fill-color, var(--card-background-color)); color: var(--primary-text-color);
+      }
+      .schedule-slot .days-select { margin-bottom: 0; }
+      .schedule-status { flex: 1; color: var(--secondary-text-color); font-size: 0.9rem; }
+
       /* Mode Toggle Buttons */
       .mode-toggle-container {
         display: flex; gap: 8px; margin-bottom: 16px; padding: 8px;
@@ -1638,8 +4500,272 @@ class SajH2InverterCardTimer extends HTMLElement {
   }
 }
 
-// Register the custom element
+/**
+ * Visual editor for the SAJ H2 Inverter Card Timer
+ * - Rendered by the Lovelace UI editor through getConfigElement().
+ * - Uses ha-form so entity pickers and selectors match the rest of Home Assistant.
+ * - Only entity overrides that differ from DEFAULT_ENTITIES are written back to the config.
+ */
+class SajH2InverterCardTimerEditor extends HTMLElement {
+  constructor() {
+    super();
+    this.attachShadow({ mode: 'open' });
+    this._config = {};
+    this._hass = null;
+    this._error = null;
+  }
+
+  // Called by the Lovelace editor with the current card configuration
+  setConfig(config) {
+    this._config = { ...config };
+    this._error = this._validate(this._config);
+    this._render();
+  }
+
+  set hass(hass) {
+    this._hass = hass;
+    const form = this.shadowRoot.querySelector('ha-form');
+    if (form) {
+      form.hass = hass;
+    } else {
+      this._render();
+    }
+  }
+
+  // Run the card's own validation and return the error message, if any
+  _validate(config) {
+    try {
+      SajH2InverterCardTimer.validateConfig(config);
+      return null;
+    } catch (err) {
+      return err.message;
+    }
+  }
+
+  // Build the ha-form schema, one entity picker per DEFAULT_ENTITIES key
+  _getSchema() {
+    const defaults = SajH2InverterCardTimer.DEFAULT_ENTITIES;
+    return [
+      {
+        name: 'mode',
+        selector: {
+          select: {
+            mode: 'dropdown',
+            options: [
+              { value: 'both', label: 'Charge & Discharge' },
+              { value: 'charge', label: 'Charge only' },
+              { value: 'discharge', label: 'Discharge only' }
+            ]
+          }
+        }
+      },
+      { name: 'maxOutput', selector: { number: { min: 0.5, max: 50, step: 0.1, mode: 'box', unit_of_measurement: 'kW' } } },
+      { name: 'maxChargeKw', selector: { number: { min: 0.5, max: 50, step: 0.1, mode: 'box', unit_of_measurement: 'kW' } } },
+      { name: 'maxDischargeKw', selector: { number: { min: 0.5, max: 50, step: 0.1, mode: 'box', unit_of_measurement: 'kW' } } },
+      { name: 'exportLimitKw', selector: { number: { min: 0.5, max: 50, step: 0.1, mode: 'box', unit_of_measurement: 'kW' } } },
+      { name: 'sliderStep', selector: { number: { min: 0.05, max: 5, step: 0.05, mode: 'box', unit_of_measurement: 'kW' } } },
+      { name: 'chartHours', selector: { number: { min: 0.5, max: 24, step: 0.5, mode: 'box', unit_of_measurement: 'h' } } },
+      { name: 'batteryCapacity', selector: { number: { min: 1, max: 200, step: 0.1, mode: 'box', unit_of_measurement: 'kWh' } } },
+      {
+        name: 'logLevel',
+        selector: {
+          select: {
+            mode: 'dropdown',
+            options: SajH2InverterCardTimer.LOG_LEVELS.map(level => ({ value: level, label: level.charAt(0).toUpperCase() + level.slice(1) }))
+          }
+        }
+      },
+      { name: 'debugPanel', selector: { boolean: {} } },
+      { name: 'debugLogSeconds', selector: { number: { min: 1, max: 3600, step: 1, mode: 'box', unit_of_measurement: 's' } } },
+      { name: 'expiryCheckSeconds', selector: { number: { min: 1, max: 3600, step: 1, mode: 'box', unit_of_measurement: 's' } } },
+      { name: 'serverTimer', selector: { boolean: {} } },
+      { name: 'chargeSlots', selector: { select: { multiple: true, mode: 'list', options: this._getSlotOptions() } } },
+      { name: 'dischargeSlots', selector: { select: { multiple: true, mode: 'list', options: this._getSlotOptions() } } },
+      {
+        type: 'expandable',
+        name: 'entities',
+        title: 'Entities',
+        schema: Object.keys(defaults).map(key => ({
+          name: key,
+          selector: { entity: { domain: defaults[key].split('.')[0] } }
+        }))
+      },
+      {
+        type: 'expandable',
+        name: 'units',
+        title: 'Power units',
+        schema: Object.keys(SajH2InverterCardTimer.DEFAULT_UNITS).map(key => ({
+          name: key,
+          selector: {
+            select: {
+              mode: 'dropdown',
+              options: [
+                { value: 'percent', label: '% of max output' },
+                { value: 'permille', label: '0.1% of max output' },
+                { value: 'watts', label: 'W' }
+              ]
+            }
+          }
+        }))
+      }
+    ];
+  }
+
+  // Slot numbers offered by the slot selectors (ha-form select values are strings)
+  _getSlotOptions() {
+    return Array.from({ length: SajH2InverterCardTimer.SLOT_COUNT }, (_, i) => ({
+      value: String(i + 1),
+      label: `Slot ${i + 1}`
+    }));
+  }
+
+  // Human readable labels for the form fields
+  _computeLabel(schema) {
+    const labels = {
+      mode: 'Mode',
+      maxOutput: 'Inverter max output',
+      maxChargeKw: 'Max charge power (defaults to max output)',
+      maxDischargeKw: 'Max discharge power (defaults to max output)',
+      exportLimitKw: 'Grid export limit (caps the discharge slider)',
+      sliderStep: 'Power slider step',
+      chartHours: 'Power chart period',
+      batteryCapacity: 'Battery capacity (for the solar charge suggestion)',
+      logLevel: 'Console log level',
+      debugPanel: 'Show debug panel',
+      debugLogSeconds: 'Sensor log interval',
+      expiryCheckSeconds: 'Timer expiry check interval',
+      serverTimer: 'Switch off from Home Assistant (timer helper)',
+      chargeSlots: 'Charge slots',
+      dischargeSlots: 'Discharge slots'
+    };
+    if (labels[schema.name]) return labels[schema.name];
+    // Split camelCase entity keys into words, e.g. chargeDayMask -> Charge day mask
+    const words = schema.name.replace(/([A-Z])/g, ' $1').toLowerCase();
+    return words.charAt(0).toUpperCase() + words.slice(1);
+  }
+
+  // Build the form once, then only refresh its data and the error banner
+  _render() {
+    if (!this._hass) return;
+
+    if (!this.shadowRoot.querySelector('ha-form')) {
+      this.shadowRoot.innerHTML = `
+        <style>
+          ha-alert { display: block; margin-bottom: 16px; }
+        </style>
+        <ha-alert alert-type="error" hidden></ha-alert>
+        <ha-form></ha-form>
+      `;
+      const form = this.shadowRoot.querySelector('ha-form');
+      form.schema = this._getSchema();
+      form.computeLabel = schema => this._computeLabel(schema);
+      form.addEventListener('value-changed', e => this._valueChanged(e.detail.value));
+    }
+
+    const form = this.shadowRoot.querySelector('ha-form');
+    form.hass = this._hass;
+    // Show defaults in the pickers so users can see what the card will use
+    form.data = {
+      mode: 'both',
+      maxOutput: 5.0,
+      logLevel: this._config.debug === true ? 'debug' : 'warn',
+      debugPanel: false,
+      debugLogSeconds: 10,
+      expiryCheckSeconds: 60,
+      serverTimer: false,
+      ...this._config,
+      chargeSlots: this._slotsToForm(this._config.chargeSlots),
+      dischargeSlots: this._slotsToForm(this._config.dischargeSlots),
+      entities: { ...SajH2InverterCardTimer.DEFAULT_ENTITIES, ...(this._config.entities || {}) },
+      units: { ...SajH2InverterCardTimer.DEFAULT_UNITS, ...(this._config.units || {}) }
+    };
+    this._updateError();
+  }
+
+  // Slot lists hold numbers or slot definitions; the form only edits plain slot numbers
+  _slotsToForm(slots) {
+    if (!Array.isArray(slots)) return ['1'];
+    return slots.map((entry, i) => String(typeof entry === 'number' ? entry : (entry.slot || i + 1)));
+  }
+
+  // Map selected slot numbers back, keeping any existing slot definitions for them
+  _slotsFromForm(values, previous) {
+    const existing = Array.isArray(previous) ? previous : [];
+    return (values || []).map(Number).sort((a, b) => a - b).map(index => {
+      const definition = existing.find((entry, i) => typeof entry === 'object' && (entry.slot || i + 1) === index);
+      // Pin the slot number, since reordering would change an implied position
+      return definition ? { ...definition, slot: index } : index;
+    });
+  }
+
+  _updateError() {
+    const alert = this.shadowRoot.querySelector('ha-alert');
+    if (!alert) return;
+    alert.hidden = !this._error;
+    alert.textContent = this._error || '';
+  }
+
+  // Strip defaults from the form value and publish the new config
+  _valueChanged(value) {
+    const defaults = SajH2InverterCardTimer.DEFAULT_ENTITIES;
+    const config = { ...this._config, ...value };
+
+    const overrides = {};
+    Object.entries(value.entities || {}).forEach(([key, entityId]) => {
+      if (entityId && entityId !== defaults[key]) overrides[key] = entityId;
+    });
+    if (Object.keys(overrides).length) {
+      config.entities = overrides;
+    } else {
+      delete config.entities;
+    }
+
+    const unitDefaults = SajH2InverterCardTimer.DEFAULT_UNITS;
+    const unitOverrides = {};
+    Object.entries(value.units || {}).forEach(([key, unit]) => {
+      if (unit && unit !== unitDefaults[key]) unitOverrides[key] = unit;
+    });
+    if (Object.keys(unitOverrides).length) {
+      config.units = unitOverrides;
+    } else {
+      delete config.units;
+    }
+    // logLevel replaces the old debug flag once the level is edited
+    delete config.debug;
+    if (config.logLevel === 'warn') delete config.logLevel;
+    if (config.debugPanel === false) delete config.debugPanel;
+    if (config.debugLogSeconds === 10) delete config.debugLogSeconds;
+    if (config.expiryCheckSeconds === 60) delete config.expiryCheckSeconds;
+    if (config.serverTimer === false) delete config.serverTimer;
+    ['batteryCapacity', 'chartHours', 'maxChargeKw', 'maxDischargeKw', 'exportLimitKw', 'sliderStep', 'debugLogSeconds', 'expiryCheckSeconds'].forEach(key => {
+      if (config[key] === undefined || config[key] === null || config[key] === '') delete config[key];
+    });
+
+    ['chargeSlots', 'dischargeSlots'].forEach(key => {
+      const slots = this._slotsFromForm(value[key], this._config[key]);
+      if (slots.length === 1 && slots[0] === 1) {
+        delete config[key];
+      } else {
+        config[key] = slots;
+      }
+    });
+
+    this._config = config;
+    this._error = this._validate(config);
+    this._updateError();
+    // Invalid configs are kept in the form but not published to the card
+    if (this._error) return;
+
+    this.dispatchEvent(new CustomEvent('config-changed', {
+      detail: { config },
+      bubbles: true, composed: true
+    }));
+  }
+}
+
+// Register the custom elements
 customElements.define('saj-h2-inverter-card-timer', SajH2InverterCardTimer);
+customElements.define('saj-h2-inverter-card-timer-editor', SajH2InverterCardTimerEditor);
 
 // Add card to custom card list for UI editor (run only once)
 if (!window.sajH2CardTimerDefined) {